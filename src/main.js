@@ -53,6 +53,13 @@ import { createApp } from 'vue';
  */
 import { createPinia } from 'pinia';
 
+/**
+ * 狀態持久化插件引入
+ * 依 store 的 persist 設定把指定狀態保存到 localStorage，重新整理後恢復
+ * - createPersistPlugin: 建立 Pinia 插件的函數（見 stores/persistPlugin.js）
+ */
+import { createPersistPlugin } from './stores/persistPlugin';
+
 // ==================== 🧩 應用程式組件引入 (Application Component Imports) ====================
 
 /**
@@ -160,6 +167,13 @@ const app = createApp(App);
  */
 const pinia = createPinia();
 
+/**
+ * 註冊狀態持久化插件
+ * 必須在任何 store 建立之前註冊，store 第一次使用時才能恢復保存的狀態
+ * - 只保存 store 的 persist.pick 取出的欄位，不保存圖層數據
+ */
+pinia.use(createPersistPlugin());
+
 // ==================== 🗺️ 路由系統註冊 (Router System Registration) ====================
 
 /**
@@ -17,6 +17,7 @@
  *
  * 路由結構 (Route Structure):
  * - /: 首頁（示意圖主界面）
+ * - /embed/:layerId: 嵌入頁面，只顯示單一圖層的示意圖
  * - 其他路由可根據需要擴展
  *
  * @file index.js
@@ -71,6 +72,16 @@ const routes = [
       requiresAuth: false, // 是否需要身份驗證
     },
   },
+  {
+    path: '/embed/:layerId', // 🖼️ 嵌入示意圖（iframe 使用）
+    name: 'Embed',
+    component: () => import('../views/EmbedView.vue'), // 延遲載入，主畫面不需要
+    meta: {
+      title: '嵌入示意圖',
+      description: '只顯示單一圖層示意圖的嵌入頁面，查詢參數見 EmbedView.vue',
+      requiresAuth: false,
+    },
+  },
   // 未來可在此處添加更多路由
   // {
   //   path: '/about',
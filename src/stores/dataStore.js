@@ -42,6 +42,8 @@
  * - layers: 圖層配置和狀態陣列
  * - layerStates: 圖層狀態的詳細追蹤
  * - selectedFeature: 當前選中的地理要素
+ * - activeUpperTab / activeBottomTab / activeRightTab、leftViewWidth / rightViewWidth: 版面狀態
+ * - mapTransform: 示意圖的縮放與平移
  * - d3jsDimensions: D3.js 視覺化組件的尺寸設定
  *
  * 🚀 使用範例 (Usage Examples):
@@ -105,11 +107,57 @@ import { ref, computed } from 'vue';
  * 提供數據載入功能
  */
 import {
-  loadDataLayerJson,
-  loadGridSchematicJson,
-  processGridToDrawData,
-  processMetroToDrawData,
+  loadGtfsLayer,
+  loadUserFileLayer,
+  readUserLayerFile,
+  SCHEMATIC_FORMATS,
 } from '../utils/dataProcessor.js';
+import { processGridToDrawData, processMetroToDrawData } from '../utils/layerProcessing.js';
+
+/**
+ * 圖層清單工具引入
+ * 從 public/data/layers.json 建立圖層群組
+ */
+import { LAYER_DEFAULTS, loadLayerManifest } from '../utils/layerRegistry.js';
+
+/**
+ * 圖層快取工具引入
+ * 以 IndexedDB 保存處理完成的圖層數據
+ */
+import {
+  buildLayerCacheKey,
+  clearLayerCache,
+  readLayerCache,
+  writeLayerCache,
+} from '../utils/layerCache.js';
+
+/**
+ * 示意圖要素工具引入
+ * 保存與恢復選取要素時只記錄參照，恢復時從圖層數據重建
+ */
+import { resolveFeatureReference, toFeatureReference } from '../utils/schematicFeatures.js';
+
+// ==================== 💾 狀態持久化設定 (Persistence Configuration) ====================
+
+/**
+ * 🔢 保存格式版本 (Persisted State Version)
+ * 改變 getPersistedSnapshot 的輸出結構時調高，並在 PERSIST_MIGRATIONS 加上對應的遷移函數
+ *
+ * @type {number}
+ */
+const PERSIST_VERSION = 2;
+
+/**
+ * 🔄 保存格式遷移 (Persisted State Migrations)
+ * 鍵為目標版本，函數把前一版的快照轉成該版本，例如：
+ * `2: (snapshot) => ({ ...snapshot, activeRightTab: snapshot.rightTab })`
+ *
+ * @type {Object<number, Function>}
+ */
+const PERSIST_MIGRATIONS = {
+  // 選取要素改為只保存參照 { layerId, id }（舊版保存整個要素，包含整列節點）
+  2: (snapshot) => ({ ...snapshot, selectedFeature: toFeatureReference(snapshot.selectedFeature) }),
+};
 
 // ==================== 📦 主要數據存儲定義 (Main Data Store Definition) ====================
 
@@ -129,7 +177,7 @@ import {
  * 🔧 技術實現 (Technical Implementation):
  * - 使用 defineStore 創建 Pinia store
  * - 採用 Composition API 設計模式
- * - 支援狀態持久化（persist: true）
+ * - 支援狀態持久化（persist：檢視狀態與面板寬度，見 getPersistedSnapshot）
  * - 提供響應式狀態更新
  *
  * @type {Store} Pinia Store 實例
@@ -163,22 +211,24 @@ export const useDataStore = defineStore(
     const layerStates = ref({});
 
     /**
-     * 🗺️ 圖層配置定義 (Layer Configuration Definition)
-     *
-     * 靜態定義的圖層配置陣列，包含所有可用的圖層信息。每個圖層都包含
-     * 完整的配置信息，包括載入方式、顯示設定、數據來源等。
+     * 🗺️ 圖層配置 (Layer Configuration)
      *
-     * 圖層群組結構：
-     * - 測試圖層：包含網格示意圖測試等開發用圖層
-     * - 數據圖層：包含台北捷運等實際數據圖層
+     * 圖層群組陣列。啟動時由 loadLayerRegistry 從 public/data/layers.json 載入
+     * （kind 與載入函數的對應見 utils/layerRegistry.js），執行期間匯入的圖層
+     * 則放在「使用者圖層」群組。
      *
      * 圖層屬性說明：
      * - layerId: 圖層唯一識別碼
      * - layerName: 圖層顯示名稱
-     * - visible: 圖層初始可見性
+     * - kind: 清單中的圖層類型（'grid'、'metro'、'geojson'）
+     * - description: 圖層說明（顯示在圖層列表）
+     * - visible: 圖層可見性
+     * - defaultVisible: 清單設定為預設開啟（載入清單後自動開啟）
      * - isLoading: 圖層載入狀態
      * - isLoaded: 圖層載入完成狀態
-     * - type: 圖層類型（grid, point, line 等）
+     * - loadError: 最近一次載入失敗的錯誤訊息
+     * - loadProgress / loadStage: 載入中的處理進度（0 ~ 100）與目前階段，由處理 Worker 回報
+     * - cacheInfo: 圖層快取資訊 { key, size, createdAt, fromCache }，沒有快取時為 null
      * - colorName: 圖層顏色名稱
      * - jsonData: 圖層原始 JSON 數據（不可修改）
      * - processedJsonData: 圖層處理後 JSON 數據（用於顯示和計算）
@@ -187,6 +237,16 @@ export const useDataStore = defineStore(
      * - layerInfoData: 圖層資訊數據
      * - jsonLoader: 圖層數據載入函數
      * - jsonFileName: 圖層 JSON 文件名稱
+     * - seed: 節點數值隨機數種子，相同種子產生相同數值（網址 ?seed= 或 ?seed.<layerId>= 可覆寫）
+     * - valueWeights: 節點數值權重表，索引 i 的權重代表數值 i 的相對機率
+     * - valueSource: 節點數值來源（'file' 保留檔案數值、'random' 隨機生成、'external' 從 valueFileName 合併）
+     * - valueFileName: 外部數值檔案名稱（valueSource 為 'external' 時使用）
+     * - nodeTypeMode: 捷運節點 type 的取得方式（'report' 保留檔案 type 並回報不一致、
+     *   'override' 以座標推算取代；兩者都會補上缺少的 type，編碼見 schematicEncoding.js）
+     * - stationLabelSide: 車站名稱標籤位置（'right' 預設、'left'、'top'、'bottom'，節點 labelSide 可覆寫）
+     * - renderer: 示意圖繪製方式（'auto' 預設依節點數決定、'svg'、'canvas'）
+     * - gridResolution: GeoJSON 圖層吸附網格的解析度（路網較長邊的格數）
+     * - missingCellPolicy: 網格量測數值的缺值處理（'empty' 標記空格、'zero'、'mean'、'random' 填補）
      * - isDataLayer: 是否為數據圖層
      * - hideFromMap: 是否從地圖隱藏
      * - display: 是否顯示
@@ -195,79 +255,24 @@ export const useDataStore = defineStore(
      * @type {Ref<Array>} 圖層配置響應式陣列
      * @since 1.0.0
      */
-    const layers = ref([
-      {
-        groupName: '測試圖層',
-        groupLayers: [
-          {
-            layerId: 'test_layer',
-            layerName: '網格示意圖測試',
-            visible: false,
-            isLoading: false,
-            isLoaded: false,
-            colorName: 'green',
-            jsonData: null,
-            processedJsonData: null,
-            drawJsonData: null,
-            dashboardData: null,
-            dataTableData: null,
-            layerInfoData: null,
-            jsonLoader: loadGridSchematicJson,
-            processToDrawData: processGridToDrawData,
-            jsonFileName: 'test/test.json',
-            isDataLayer: true,
-            hideFromMap: true,
-            display: true,
-            isGridSchematic: true, // 標記為網格示意圖類型
-          },
-        ],
-      },
-      {
-        groupName: '數據圖層',
-        groupLayers: [
-          {
-            layerId: 'taipei_metro',
-            layerName: 'Taipei Metro',
-            visible: false,
-            isLoading: false,
-            isLoaded: false,
-            colorName: 'orange',
-            jsonData: null,
-            processedJsonData: null,
-            drawJsonData: null,
-            dashboardData: null,
-            dataTableData: null,
-            layerInfoData: null,
-            jsonLoader: loadDataLayerJson,
-            processToDrawData: processMetroToDrawData,
-            jsonFileName: 'taipei/taipei_schematic.json',
-            isDataLayer: true,
-            hideFromMap: true,
-            display: true,
-          },
-          {
-            layerId: 'taipei_metro_2',
-            layerName: 'Taipei Metro 2',
-            visible: false,
-            isLoading: false,
-            isLoaded: false,
-            colorName: 'orange',
-            jsonData: null,
-            processedJsonData: null,
-            drawJsonData: null,
-            dashboardData: null,
-            dataTableData: null,
-            layerInfoData: null,
-            jsonLoader: loadDataLayerJson,
-            processToDrawData: processMetroToDrawData,
-            jsonFileName: 'taipei/taipei_schematic_2.json',
-            isDataLayer: true,
-            hideFromMap: true,
-            display: true,
-          },
-        ],
-      },
-    ]);
+    const layers = ref([]);
+
+    /**
+     * ⚠️ 圖層清單錯誤 (Layer Registry Errors)
+     * 清單無法載入，或個別圖層設定錯誤而被略過時的訊息
+     * 格式：{ groupName, layerId, message }
+     */
+    const registryErrors = ref([]);
+
+    /**
+     * ⚠️ 檔案匯入錯誤 (File Import Errors)
+     * 使用者檔案無法讀取或辨識、因此沒有建立圖層時的訊息；每次匯入前清除
+     * 格式：{ fileName, message }
+     */
+    const importErrors = ref([]);
+
+    /** ✅ 圖層清單是否已載入 (Is Layer Registry Loaded) */
+    const isRegistryLoaded = ref(false);
 
     /**
      * 💾 保存圖層狀態 (Save Layer State)
@@ -484,8 +489,264 @@ export const useDataStore = defineStore(
       return allLayers;
     };
 
+    // ==================== 🗂️ 圖層清單 (Layer Registry) ====================
+
+    /**
+     * ⏳ 進行中的清單載入 (Pending Registry Load)
+     * 多個組件同時呼叫 loadLayerRegistry 時共用同一次載入
+     *
+     * @type {Promise<void>|null}
+     */
+    let registryPromise = null;
+
+    /**
+     * 🗂️ 載入圖層清單 (Load Layer Registry)
+     *
+     * 讀取 public/data/layers.json 並建立圖層群組，已匯入的使用者圖層會保留在最後。
+     * 清單無法載入時不會拋出錯誤，而是記錄在 registryErrors（可再次呼叫重試）；
+     * 個別圖層設定錯誤只會略過該圖層。載入完成後開啟網址或上次保存的可見圖層
+     * （見 applyViewState），沒有時開啟清單中 visible 為 true 的圖層。
+     *
+     * @returns {Promise<void>}
+     */
+    const loadLayerRegistry = () => {
+      if (registryPromise) return registryPromise;
+
+      registryPromise = (async () => {
+        try {
+          const { groups, errors } = await loadLayerManifest();
+          const userGroups = layers.value.filter(
+            (group) => group.groupName === USER_LAYER_GROUP_NAME
+          );
+          layers.value = [...groups, ...userGroups];
+          registryErrors.value = errors;
+          errors.forEach((error) => {
+            console.warn(`⚠️ DataStore: 略過圖層 "${error.layerId ?? '?'}"：${error.message}`);
+          });
+          isRegistryLoaded.value = true;
+        } catch (error) {
+          console.error('❌ DataStore: 圖層清單載入失敗:', error);
+          registryErrors.value = [{ groupName: null, layerId: null, message: error.message }];
+          registryPromise = null; // 允許重試
+          return;
+        }
+
+        // 開啟網址或上次保存的可見圖層；都沒有時開啟清單中預設可見的圖層
+        if (pendingRestore.value) {
+          await applyPendingLayers();
+          return;
+        }
+        const defaultLayers = getAllLayers().filter((layer) => layer.defaultVisible);
+        for (const layer of defaultLayers) {
+          if (!layer.visible) await toggleLayerVisibility(layer.layerId);
+        }
+      })();
+
+      return registryPromise;
+    };
+
+    // ==================== 👤 使用者圖層管理 (User Layer Management) ====================
+
+    /**
+     * 👤 使用者圖層群組名稱 (User Layer Group Name)
+     * 執行期間由使用者匯入的圖層都會放在這個群組
+     *
+     * @type {string}
+     */
+    const USER_LAYER_GROUP_NAME = '使用者圖層';
+
+    /**
+     * 🔢 使用者圖層流水號 (User Layer Counter)
+     * 用於產生不重複的 layerId
+     *
+     * @type {number}
+     */
+    let userLayerCounter = 0;
+
+    /**
+     * ➕ 新增使用者圖層 (Add User Layer)
+     *
+     * 在「使用者圖層」群組中註冊一個新圖層（群組不存在時自動建立）。傳入的配置只需要
+     * 提供 layerName、jsonLoader、processToDrawData 與載入器需要的欄位，其餘狀態欄位
+     * 會補上與清單圖層相同的預設值（LAYER_DEFAULTS），因此可以直接使用 toggleLayerVisibility 載入。
+     *
+     * @param {Object} layerConfig - 圖層配置（至少包含 layerName 與 jsonLoader）
+     * @returns {Object} 新增後的圖層對象
+     *
+     * @example
+     * const layer = addUserLayer({
+     *   layerName: 'My Metro',
+     *   jsonLoader: loadGtfsLayer,
+     *   processToDrawData: processMetroToDrawData,
+     *   sourceFiles: files,
+     * });
+     * await toggleLayerVisibility(layer.layerId);
+     */
+    const addUserLayer = (layerConfig) => {
+      let userGroup = layers.value.find((group) => group.groupName === USER_LAYER_GROUP_NAME);
+      if (!userGroup) {
+        layers.value.push({ groupName: USER_LAYER_GROUP_NAME, groupLayers: [] });
+        userGroup = layers.value[layers.value.length - 1];
+      }
+
+      userLayerCounter++;
+      userGroup.groupLayers.push({
+        layerId: `user_layer_${Date.now()}_${userLayerCounter}`,
+        ...LAYER_DEFAULTS,
+        valueSource: 'random',
+        isUserLayer: true,
+        ...layerConfig,
+      });
+
+      // 回傳 reactive 代理，讓後續修改能觸發畫面更新
+      return userGroup.groupLayers[userGroup.groupLayers.length - 1];
+    };
+
+    /**
+     * 🚇 匯入 GTFS 圖層 (Import GTFS Layer)
+     *
+     * 將使用者以檔案選擇器選取的 GTFS zip 或資料夾註冊為新的捷運圖層並立即開啟載入。
+     *
+     * @param {FileList|File[]} files - GTFS zip 或資料夾內的檔案
+     * @param {Object} [options] - 額外圖層配置（例如 gridResolution）
+     * @returns {Promise<Object>} 新增的圖層對象
+     */
+    const addGtfsLayer = async (files, options = {}) => {
+      const fileList = Array.from(files || []);
+      const zipFile = fileList.find((file) => /\.zip$/i.test(file.name));
+      const folderName = fileList[0]?.webkitRelativePath?.split('/')[0];
+      const sourceName = zipFile ? zipFile.name : folderName || 'GTFS';
+
+      const layer = addUserLayer({
+        layerName: `GTFS: ${sourceName}`,
+        jsonLoader: loadGtfsLayer,
+        processToDrawData: processMetroToDrawData,
+        jsonFileName: sourceName,
+        sourceFiles: fileList,
+        gridResolution: 40,
+        ...options,
+      });
+
+      await toggleLayerVisibility(layer.layerId);
+      return layer;
+    };
+
+    /**
+     * 📂 匯入使用者檔案圖層 (Import User File Layer)
+     *
+     * 將使用者拖放或選取的 .json / .csv 檔案判斷為網格或捷運格式後註冊為新圖層，
+     * 並立即開啟載入。實際的數據處理由 loadUserFileLayer 在載入時進行。
+     *
+     * @param {File} file - 使用者選取的檔案
+     * @returns {Promise<Object>} 新增的圖層對象
+     * @throws {Error} 檔案類型不支援或無法辨識格式時拋出錯誤（不會新增圖層）
+     */
+    const addUserFileLayer = async (file) => {
+      const { format, data } = await readUserLayerFile(file);
+      const isGrid = format === SCHEMATIC_FORMATS.GRID;
+
+      // 捷運檔案中已有節點數值時沿用，否則與靜態捷運圖層一樣隨機生成
+      const hasNodeValues =
+        !isGrid &&
+        data.some((line) =>
+          line.nodes.some((node) => node.value !== undefined && node.value !== null)
+        );
+
+      const layer = addUserLayer({
+        layerName: file.name.replace(/\.(json|csv)$/i, ''),
+        colorName: isGrid ? 'green' : 'orange',
+        jsonLoader: loadUserFileLayer,
+        processToDrawData: isGrid ? processGridToDrawData : processMetroToDrawData,
+        jsonFileName: file.name,
+        sourceFile: file,
+        ...(isGrid
+          ? { isGridSchematic: true, missingCellPolicy: 'empty' }
+          : { valueSource: hasNodeValues ? 'file' : 'random' }),
+      });
+
+      await toggleLayerVisibility(layer.layerId);
+      return layer;
+    };
+
+    /**
+     * 📥 匯入多個使用者檔案 (Import User Files)
+     *
+     * 檔案選擇器與拖放共用的匯入流程：每個檔案各自以 addUserFileLayer 註冊為一個圖層，
+     * 單一檔案失敗不影響其他檔案。失敗的檔案不會有圖層可以顯示 loadError，
+     * 因此記錄在 importErrors 讓圖層分頁顯示。
+     *
+     * @param {FileList|File[]} files - 使用者選取或拖放的檔案
+     * @returns {Promise<Array<Object>>} 成功新增的圖層
+     */
+    const importUserFiles = async (files) => {
+      importErrors.value = [];
+      const added = [];
+
+      for (const file of Array.from(files || [])) {
+        try {
+          added.push(await addUserFileLayer(file));
+        } catch (error) {
+          console.error(`❌ DataStore: 匯入檔案 "${file.name}" 失敗:`, error);
+          importErrors.value.push({ fileName: file.name, message: error.message });
+        }
+      }
+      return added;
+    };
+
+    /** 🧹 清除檔案匯入錯誤 (Clear File Import Errors) */
+    const clearImportErrors = () => {
+      importErrors.value = [];
+    };
+
+    /**
+     * 🗑️ 移除使用者圖層 (Remove User Layer)
+     *
+     * 只能移除執行期間匯入的圖層（isUserLayer），靜態配置的圖層不受影響。
+     * 群組中沒有其他圖層時會一併移除「使用者圖層」群組。
+     *
+     * @param {string} layerId - 要移除的圖層 ID
+     * @returns {boolean} 是否成功移除
+     */
+    const removeUserLayer = (layerId) => {
+      const userGroup = layers.value.find((group) => group.groupName === USER_LAYER_GROUP_NAME);
+      const index = userGroup
+        ? userGroup.groupLayers.findIndex((layer) => layer.layerId === layerId)
+        : -1;
+      if (index === -1 || !userGroup.groupLayers[index].isUserLayer) {
+        console.warn(`⚠️ DataStore: "${layerId}" 不是可移除的使用者圖層`);
+        return false;
+      }
+
+      loadControllers.get(layerId)?.abort();
+      loadControllers.delete(layerId);
+      userGroup.groupLayers.splice(index, 1);
+      delete layerStates.value[layerId];
+
+      // 清除指向此圖層的選取狀態
+      if (selectedFeature.value?.properties?.layerId === layerId) {
+        selectedFeature.value = null;
+      }
+      if (highlightedNode.value?.layerId === layerId) {
+        highlightedNode.value = null;
+      }
+
+      if (userGroup.groupLayers.length === 0) {
+        layers.value.splice(layers.value.indexOf(userGroup), 1);
+      }
+      return true;
+    };
+
     // ==================== 🔄 主要圖層處理函數 (Main Layer Processing Functions) ====================
 
+    /**
+     * 🛑 進行中的載入控制器 (In-Flight Load Controllers)
+     * layerId → AbortController；圖層在載入中被關閉或移除時用來中止請求。
+     * 不放進響應式狀態，也不需要保存。
+     *
+     * @type {Map<string, AbortController>}
+     */
+    const loadControllers = new Map();
+
     /**
      * 🔄 切換圖層可見性 (Toggle Layer Visibility)
      *
@@ -542,6 +803,8 @@ export const useDataStore = defineStore(
      * ⚠️ 錯誤處理 (Error Handling):
      * - 圖層不存在：記錄錯誤並返回
      * - 載入失敗：恢復圖層狀態並記錄錯誤
+     * - 載入中被關閉：中止請求（AbortController），較晚回來的結果直接捨棄
+     * - 快取讀寫失敗：不影響載入，直接重新下載與處理
      * - 網路錯誤：提供詳細的錯誤信息
      * - 數據格式錯誤：記錄錯誤並繼續執行
      *
@@ -576,16 +839,59 @@ export const useDataStore = defineStore(
       // 保存圖層的可見性狀態
       saveLayerState(layerId, { visible: layer.visible });
 
+      // 載入中被關閉：中止請求，避免較晚回來的結果把已關閉的圖層重新打開
+      if (!layer.visible && layer.isLoading) {
+        loadControllers.get(layerId)?.abort();
+        loadControllers.delete(layerId);
+        layer.isLoading = false;
+        layer.loadProgress = null;
+        layer.loadStage = null;
+        saveLayerState(layerId, { isLoading: false });
+        return;
+      }
+
       // 如果圖層被開啟且尚未載入，則載入資料
       const shouldLoad = layer.visible && !layer.isLoaded && !layer.isLoading;
 
       if (shouldLoad) {
+        const controller = new AbortController();
+        loadControllers.set(layerId, controller);
+
         try {
           layer.isLoading = true;
+          layer.loadError = null;
+          layer.loadProgress = null;
+          layer.loadStage = null;
+          layer.cacheInfo = null;
           saveLayerState(layerId, { isLoading: layer.isLoading });
 
-          // 載入圖層數據
-          const result = await layer.jsonLoader(layer);
+          // 快取有效時直接使用（IndexedDB），省去重新下載與處理
+          const cacheKey = await buildLayerCacheKey(layer, { signal: controller.signal });
+          const cached = cacheKey ? await readLayerCache(cacheKey) : null;
+          if (controller.signal.aborted) return;
+
+          // 載入圖層數據（處理在 Worker 中執行，進度顯示在載入覆蓋層）
+          const result =
+            cached?.result ??
+            (await layer.jsonLoader(layer, {
+              signal: controller.signal,
+              onProgress: (progress, message) => {
+                layer.loadProgress = progress;
+                layer.loadStage = message;
+              },
+            }));
+
+          // 等待期間圖層已被關閉，捨棄這次的結果
+          if (controller.signal.aborted) return;
+
+          if (cached) {
+            layer.cacheInfo = { ...cached.info, fromCache: true };
+          } else if (cacheKey) {
+            // 寫入快取不影響圖層顯示，完成後再更新快取資訊
+            writeLayerCache(cacheKey, layer, result).then((info) => {
+              if (info) layer.cacheInfo = { ...info, fromCache: false };
+            });
+          }
 
           // 更新圖層資料
           layer.jsonData = result.jsonData;
@@ -594,8 +900,10 @@ export const useDataStore = defineStore(
           layer.dashboardData = result.dashboardData;
           layer.layerInfoData = result.layerInfoData;
 
-          // 生成繪製數據
-          if (layer.processToDrawData && layer.processedJsonData) {
+          // 生成繪製數據（Worker 已一併產生時直接使用）
+          if (result.drawJsonData !== undefined) {
+            layer.drawJsonData = result.drawJsonData;
+          } else if (layer.processToDrawData && layer.processedJsonData) {
             layer.drawJsonData = layer.processToDrawData(layer.processedJsonData);
           }
 
@@ -612,21 +920,55 @@ export const useDataStore = defineStore(
             layerInfoData: layer.layerInfoData,
           });
         } catch (error) {
+          // 使用者取消不算載入失敗
+          if (controller.signal.aborted) return;
+
           console.error(`❌ 載入圖層 "${layer.layerName}" 失敗:`, error);
+          layer.loadError = error.message; // 顯示在圖層列表，例如數據檔案不存在
           layer.visible = false; // 載入失敗時恢復可見性狀態
           saveLayerState(layerId, { visible: false });
         } finally {
-          layer.isLoading = false;
-          saveLayerState(layerId, { isLoading: false });
+          // 只有仍是目前這次載入時才重設狀態（關閉後又重新開啟會有新的載入）
+          if (loadControllers.get(layerId) === controller) {
+            loadControllers.delete(layerId);
+            layer.isLoading = false;
+            layer.loadProgress = null;
+            layer.loadStage = null;
+            saveLayerState(layerId, { isLoading: false });
+          }
         }
       }
     };
 
+    /**
+     * 🗑️ 清除圖層快取 (Clear Layer Cache)
+     *
+     * 清除 IndexedDB 中所有圖層快取；已載入的圖層數據保留，下次開啟時重新下載與處理。
+     *
+     * @returns {Promise<boolean>} 是否成功清除
+     */
+    const clearLayerDataCache = async () => {
+      const cleared = await clearLayerCache();
+      if (cleared) {
+        getAllLayers().forEach((layer) => {
+          layer.cacheInfo = null;
+        });
+      }
+      return cleared;
+    };
+
     // ==================== 地圖物件管理 ====================
 
     // 選中的地圖物件
     const selectedFeature = ref(null);
 
+    /**
+     * 🎯 高亮的示意圖節點 (Highlighted Schematic Node)
+     * 由圖層資訊分頁的診斷清單設定，D3jsTab 會切換到該圖層並標示節點位置
+     * 格式：{ layerId, lineIndex, nodeIndex, coord }
+     */
+    const highlightedNode = ref(null);
+
     // ==================== D3jsTab 尺寸管理 ====================
 
     // D3jsTab 繪製範圍尺寸
@@ -666,6 +1008,209 @@ export const useDataStore = defineStore(
       selectedFeature.value = null;
     };
 
+    const setHighlightedNode = (target) => {
+      highlightedNode.value = target;
+    };
+
+    const clearHighlightedNode = () => {
+      highlightedNode.value = null;
+    };
+
+    // ==================== 🧭 版面狀態 (Layout State) ====================
+
+    /** 🗺️ 主要分頁（HomeView 上半部） */
+    const activeUpperTab = ref('d3js');
+    /** 📋 底部分頁 */
+    const activeBottomTab = ref('table');
+    /** 📊 右側分頁 */
+    const activeRightTab = ref('layer-info');
+    /** 📏 左側面板寬度百分比 (0-100%) */
+    const leftViewWidth = ref(20);
+    /** 📏 右側面板寬度百分比 (0-100%) */
+    const rightViewWidth = ref(20);
+
+    /**
+     * 🔍 地圖縮放與平移 (Map Transform)
+     * 示意圖目前的縮放比例與平移量，格式：{ k, x, y }；null 表示未縮放（自動符合範圍）。
+     * x、y 為平移量佔示意圖寬、高的比例，因此調整面板或視窗尺寸後仍對準同一區域
+     *
+     * @type {Ref<{ k: number, x: number, y: number }|null>}
+     */
+    const mapTransform = ref(null);
+
+    const setMapTransform = (transform) => {
+      mapTransform.value = transform;
+    };
+
+    /**
+     * 🖼️ 嵌入模式 (Embed Mode)
+     * /embed/:layerId 頁面使用；嵌入模式下不保存狀態，避免覆寫使用者在主畫面保存的狀態
+     *
+     * @type {Ref<boolean>}
+     */
+    const isEmbedMode = ref(false);
+
+    const setEmbedMode = (value) => {
+      isEmbedMode.value = value;
+    };
+
+    // ==================== 🔗 檢視狀態 (View State) ====================
+
+    /**
+     * ⏳ 等待套用的檢視狀態 (Pending View State)
+     * 可見圖層與選取要素要等圖層清單載入、圖層逐一開關完成後才算套用，
+     * 在那之前 getViewState 回報的仍是這份目標狀態（避免保存或寫入網址中間狀態）
+     *
+     * selectedFeature 為要素參照 { layerId, id }，圖層載入後才能重建要素
+     *
+     * @type {Ref<{ visibleLayerIds: string[], selectedFeature: Object|null }|null>}
+     */
+    const pendingRestore = ref(null);
+
+    /**
+     * 🔗 取得檢視狀態 (Get View State)
+     *
+     * 可見圖層 ID、選取要素、分頁與地圖縮放，用於分享網址與狀態持久化。
+     * 選取要素只包含參照 { layerId, id }（見 utils/schematicFeatures.js），
+     * 使用者匯入的圖層與其要素不包含在內（重新整理後無法重建）。
+     * layerSeeds 為已載入、使用隨機數值的可見圖層實際使用的種子（layerInfoData.seed），
+     * 寫入網址後分享的連結不受圖層設定的 seed 改變影響。
+     *
+     * @returns {Object} 可 JSON 序列化的檢視狀態
+     */
+    const getViewState = () => {
+      const isStaticLayerFeature = (feature) => {
+        const layer = findLayerById(feature?.properties?.layerId);
+        return !!layer && !layer.isUserLayer;
+      };
+      const staticVisibleLayers = getAllLayers().filter(
+        (layer) => layer.visible && !layer.isUserLayer
+      );
+
+      return {
+        visibleLayerIds:
+          pendingRestore.value?.visibleLayerIds ??
+          staticVisibleLayers.map((layer) => layer.layerId),
+        layerSeeds: Object.fromEntries(
+          staticVisibleLayers
+            .filter((layer) => Number.isFinite(layer.layerInfoData?.seed))
+            .map((layer) => [layer.layerId, layer.layerInfoData.seed])
+        ),
+        selectedFeature: pendingRestore.value
+          ? pendingRestore.value.selectedFeature
+          : isStaticLayerFeature(selectedFeature.value)
+            ? toFeatureReference(selectedFeature.value)
+            : null,
+        activeUpperTab: activeUpperTab.value,
+        activeBottomTab: activeBottomTab.value,
+        activeRightTab: activeRightTab.value,
+        mapTransform: mapTransform.value,
+      };
+    };
+
+    /**
+     * 🗺️ 套用等待中的可見圖層 (Apply Pending Layers)
+     * 關閉不在清單中的圖層，再依清單順序開啟圖層（D3jsTab 會切換到最後開啟的圖層）
+     *
+     * @returns {Promise<void>}
+     */
+    const applyPendingLayers = async () => {
+      const pending = pendingRestore.value;
+      if (!pending) return;
+
+      const targetLayers = pending.visibleLayerIds
+        .map(findLayerById)
+        .filter((layer) => layer && !layer.isUserLayer);
+      selectedFeature.value = null;
+
+      for (const layer of getAllLayers()) {
+        if (layer.visible && !layer.isUserLayer && !targetLayers.includes(layer)) {
+          await toggleLayerVisibility(layer.layerId);
+        }
+      }
+      for (const layer of targetLayers) {
+        if (!layer.visible) await toggleLayerVisibility(layer.layerId);
+      }
+
+      // 要素參照從載入後的圖層數據重建；圖層沒有開啟或找不到要素時不選取
+      const reference = pending.selectedFeature;
+      if (pendingRestore.value === pending && reference) {
+        selectedFeature.value = resolveFeatureReference(
+          findLayerById(reference.layerId),
+          reference
+        );
+      }
+
+      // 套用期間又有新的目標狀態時，交給新的呼叫清除
+      if (pendingRestore.value === pending) pendingRestore.value = null;
+    };
+
+    /**
+     * 🔗 套用檢視狀態 (Apply View State)
+     *
+     * 分頁與地圖縮放立即套用；可見圖層與選取要素在圖層清單載入後套用
+     * （清單尚未載入時由 loadLayerRegistry 接手）。型別不符或未提供的欄位維持原值。
+     *
+     * @param {Object} state - getViewState 格式的檢視狀態（可只包含部分欄位）
+     * @returns {Promise<void>}
+     */
+    const applyViewState = async (state) => {
+      if (typeof state.activeUpperTab === 'string') {
+        activeUpperTab.value = state.activeUpperTab;
+      }
+      if (typeof state.activeBottomTab === 'string') {
+        activeBottomTab.value = state.activeBottomTab;
+      }
+      if (typeof state.activeRightTab === 'string') {
+        activeRightTab.value = state.activeRightTab;
+      }
+      if (state.mapTransform === null || Number.isFinite(state.mapTransform?.k)) {
+        mapTransform.value = state.mapTransform;
+      }
+
+      if (!Array.isArray(state.visibleLayerIds)) return;
+      pendingRestore.value = {
+        visibleLayerIds: state.visibleLayerIds.filter((layerId) => typeof layerId === 'string'),
+        selectedFeature: toFeatureReference(state.selectedFeature),
+      };
+      if (isRegistryLoaded.value) await applyPendingLayers();
+    };
+
+    // ==================== 💾 狀態持久化 (State Persistence) ====================
+
+    /**
+     * 📤 取得要保存的狀態快照 (Get Persisted Snapshot)
+     *
+     * 檢視狀態加上面板寬度；圖層數據（jsonData、processedJsonData 等）不保存，
+     * 重新整理後由 toggleLayerVisibility 重新載入。選取要素只保存參照 { layerId, id }
+     * （getViewState 已轉換）：表格列的要素包含整列節點，大型網格會超過 localStorage 的容量。
+     * 種子（layerSeeds）只寫入網址，重新整理後仍依圖層設定與網址解析。
+     *
+     * @returns {Object} 可 JSON 序列化的快照
+     */
+    const getPersistedSnapshot = () => {
+      const viewState = getViewState();
+      delete viewState.layerSeeds;
+      return {
+        ...viewState,
+        leftViewWidth: leftViewWidth.value,
+        rightViewWidth: rightViewWidth.value,
+      };
+    };
+
+    /**
+     * 📥 恢復保存的狀態 (Restore Persisted State)
+     *
+     * @param {Object} snapshot - getPersistedSnapshot 產生的快照（已遷移到目前版本）
+     */
+    const restorePersistedState = (snapshot) => {
+      const isWidth = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+      if (isWidth(snapshot.leftViewWidth)) leftViewWidth.value = snapshot.leftViewWidth;
+      if (isWidth(snapshot.rightViewWidth)) rightViewWidth.value = snapshot.rightViewWidth;
+      applyViewState(snapshot);
+    };
+
     /**
      * 根據圖層ID找到對應的群組名稱
      * @param {string} layerId - 圖層ID
@@ -690,9 +1235,25 @@ export const useDataStore = defineStore(
       getAllLayers, // 獲取所有圖層的扁平陣列
       findGroupNameByLayerId, // 根據圖層ID找到對應的群組名稱
       toggleLayerVisibility,
+      clearLayerDataCache,
+      // 圖層清單
+      registryErrors,
+      isRegistryLoaded,
+      loadLayerRegistry,
+      // 使用者圖層
+      addUserLayer,
+      addGtfsLayer,
+      addUserFileLayer,
+      importUserFiles,
+      importErrors,
+      clearImportErrors,
+      removeUserLayer,
       selectedFeature,
       setSelectedFeature,
       clearSelectedFeature,
+      highlightedNode,
+      setHighlightedNode,
+      clearHighlightedNode,
       visibleLayers: computed(() => getAllLayers().filter((layer) => layer.visible)),
       loadingLayers: computed(() => getAllLayers().filter((layer) => layer.isLoading)),
       // 狀態管理相關函數
@@ -702,9 +1263,33 @@ export const useDataStore = defineStore(
       d3jsDimensions,
       updateD3jsDimensions,
       updateComputedGridState,
+      // 版面狀態
+      activeUpperTab,
+      activeBottomTab,
+      activeRightTab,
+      leftViewWidth,
+      rightViewWidth,
+      // 地圖縮放與檢視狀態
+      mapTransform,
+      setMapTransform,
+      getViewState,
+      applyViewState,
+      isEmbedMode,
+      setEmbedMode,
+      // 狀態持久化
+      getPersistedSnapshot,
+      restorePersistedState,
     };
   },
   {
-    persist: true,
+    // 由 stores/persistPlugin.js 保存到 localStorage（只保存快照，不保存圖層數據）
+    persist: {
+      key: 'schematic-map-rwd:data',
+      version: PERSIST_VERSION,
+      migrations: PERSIST_MIGRATIONS,
+      pick: (store) => store.getPersistedSnapshot(),
+      skip: (store) => store.isEmbedMode,
+      restore: (store, snapshot) => store.restorePersistedState(snapshot),
+    },
   }
 );
@@ -0,0 +1,112 @@
+/**
+ * 💾 狀態持久化插件 (Store Persistence Plugin) - Pinia Plugin
+ *
+ * 讓 store 在重新整理後恢復指定的狀態。store 在 defineStore 的第三個參數
+ * 以 `persist` 描述要保存什麼、如何恢復；插件只負責 localStorage 讀寫與版本遷移，
+ * 不會自動保存整個 state（圖層數據等大型物件不應寫入 localStorage）。
+ *
+ * 📋 persist 設定 (Persist Options):
+ * - key: localStorage 鍵（預設 `pinia-<store id>`）
+ * - version: 目前的保存格式版本（正整數）
+ * - pick(store): 取出要保存的快照（需可 JSON 序列化）
+ * - restore(store, snapshot): 把快照套用回 store
+ * - migrations: `{ [version]: (snapshot) => snapshot }`，把前一版的快照轉成該版本
+ * - skip(store): 選填，回傳 true 時暫停保存（例如嵌入模式不應覆寫使用者保存的狀態）
+ *
+ * 🔄 版本遷移 (Migrations):
+ * 保存格式為 `{ version, state }`。讀取到舊版本時依序執行 version + 1 ... 目前版本的遷移函數；
+ * 缺少遷移函數、版本比目前新或內容無法解析時捨棄保存的狀態，改用預設值。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * // main.js
+ * pinia.use(createPersistPlugin());
+ *
+ * // store
+ * defineStore('data', setup, {
+ *   persist: {
+ *     version: 2,
+ *     pick: (store) => ({ activeTab: store.activeTab }),
+ *     restore: (store, snapshot) => store.restorePersistedState(snapshot),
+ *     migrations: { 2: (snapshot) => ({ ...snapshot, activeTab: snapshot.tab }) },
+ *   },
+ * });
+ * ```
+ *
+ * @file persistPlugin.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { watch } from 'vue';
+
+/**
+ * 🔄 遷移保存的快照 (Migrate Persisted Snapshot)
+ *
+ * @param {Object} saved - localStorage 中的 `{ version, state }`
+ * @param {number} version - 目前的保存格式版本
+ * @param {Object} [migrations] - 遷移函數表
+ * @returns {Object|null} 目前版本的快照；無法遷移時為 null
+ */
+export function migratePersistedState(saved, version, migrations = {}) {
+  if (!saved || !Number.isInteger(saved.version) || typeof saved.state !== 'object') return null;
+  if (saved.version > version) return null;
+
+  let state = saved.state;
+  for (let next = saved.version + 1; next <= version; next++) {
+    const migrate = migrations[next];
+    if (typeof migrate !== 'function') return null;
+    state = migrate(state);
+  }
+  return state;
+}
+
+/**
+ * 💾 建立狀態持久化插件 (Create Persistence Plugin)
+ *
+ * @param {Object} [options] - 插件選項
+ * @param {Storage} [options.storage=localStorage] - 儲存位置
+ * @returns {Function} Pinia 插件
+ */
+export function createPersistPlugin(options = {}) {
+  const storage = options.storage ?? globalThis.localStorage;
+
+  return ({ store, options: storeOptions }) => {
+    const persist = storeOptions.persist;
+    if (!persist || !storage || typeof persist.pick !== 'function') return;
+
+    const key = persist.key ?? `pinia-${store.$id}`;
+    const version = persist.version ?? 1;
+
+    // 📥 恢復保存的狀態
+    try {
+      const raw = storage.getItem(key);
+      const state = raw
+        ? migratePersistedState(JSON.parse(raw), version, persist.migrations)
+        : null;
+      if (state) {
+        persist.restore?.(store, state);
+      } else if (raw) {
+        storage.removeItem(key);
+      }
+    } catch (error) {
+      console.warn(`⚠️ 無法恢復 "${store.$id}" 保存的狀態，改用預設值:`, error.message);
+      storage.removeItem(key);
+    }
+
+    // 📤 快照內容改變時保存（只追蹤 pick 讀取到的欄位）
+    watch(
+      () =>
+        persist.skip?.(store) ? null : JSON.stringify({ version, state: persist.pick(store) }),
+      (json) => {
+        if (json === null) return;
+        try {
+          storage.setItem(key, json);
+        } catch (error) {
+          console.warn(`⚠️ 無法保存 "${store.$id}" 的狀態:`, error.message);
+        }
+      }
+    );
+  };
+}
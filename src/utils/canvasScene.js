@@ -0,0 +1,386 @@
+/**
+ * 🖌️ Canvas 示意圖場景 (Canvas Schematic Scene)
+ *
+ * 大型示意圖以 SVG 繪製時，每條網格線與每個數值文字都是一個 DOM 節點，200×200 的網格
+ * 就會產生十萬個以上的節點。此模組提供與 d3 selection 相同寫法的
+ * `append` / `attr` / `style` / `text` / `on`，D3jsTab 的繪製函數不需改寫，
+ * 就能把圖形記錄成繪製清單，再以 Canvas 2D 一次繪出。
+ *
+ * 📋 支援的元素 (Supported Elements):
+ * - line: x1、y1、x2、y2、stroke、stroke-width、opacity
+ * - path: d（字串，或像 d3.arc 一樣回傳字串的函數）、transform（translate）、fill、stroke、stroke-width
+ * - circle: cx、cy、r、fill、stroke、stroke-width
+ * - rect: x、y、width、height、fill、stroke、stroke-width（fill 為 transparent 時只作為點擊範圍）
+ * - text: x、y、text-anchor、dominant-baseline、font-size、font-weight、fill、opacity、
+ *   stroke / stroke-width（搭配 paint-order: stroke 作為文字外框）
+ * - g: 只用於分組，不影響繪製
+ *
+ * 🎯 點擊判定 (Hit Testing):
+ * 綁定事件（on）的 circle、rect、text 與 path 可被 hitTestCanvasScene 找到
+ * （path 判定線條與填色範圍）；畫面外未繪製的元素不參與判定。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const scene = createCanvasScene();
+ * scene.append('line').style('stroke', '#666').attr('x1', 0).attr('y1', 0).attr('x2', 100).attr('y2', 0);
+ * scene.append('circle').attr('cx', 50).attr('cy', 50).attr('r', 7).on('click', onClick);
+ *
+ * renderCanvasScene(context, scene, { width: 800, height: 600, transform: d3.zoomIdentity });
+ * hitTestCanvasScene(scene, 50, 50, context)?.handlers.click?.(event);
+ * ```
+ *
+ * @file canvasScene.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/** SVG text-anchor 對應的 Canvas textAlign */
+const TEXT_ALIGN = {
+  start: 'left',
+  middle: 'center',
+  end: 'right',
+};
+
+/** SVG dominant-baseline 對應的 Canvas textBaseline（其餘值視為 auto） */
+const TEXT_BASELINE = {
+  middle: 'middle',
+  hanging: 'hanging',
+};
+
+/** 畫面外仍繪製的範圍（畫布座標），避免靠近邊緣的文字被截掉 */
+const CULL_MARGIN = 100;
+
+// ==================== 🧱 場景建立 (Scene Building) ====================
+
+/**
+ * 建立場景元素
+ *
+ * @param {string} tag - 元素名稱
+ * @param {Object} scene - 所屬場景
+ * @returns {Object} 可鏈式呼叫的場景元素
+ */
+function createSceneItem(tag, scene) {
+  return {
+    tag,
+    attrs: {},
+    styles: {},
+    content: '',
+    handlers: {},
+    bounds: null,
+    attr(name, value) {
+      // d3.attr 接受函數（例如 d3.arc），沒有綁定資料時以無參數呼叫
+      this.attrs[name] = typeof value === 'function' ? value() : value;
+      return this;
+    },
+    style(name, value) {
+      this.styles[name] = value;
+      return this;
+    },
+    text(value) {
+      this.content = value === null || value === undefined ? '' : `${value}`;
+      return this;
+    },
+    on(type, handler) {
+      this.handlers[type] = handler;
+      return this;
+    },
+    append(childTag) {
+      return scene.append(childTag);
+    },
+  };
+}
+
+/**
+ * 🧱 建立場景 (Create Canvas Scene)
+ *
+ * @returns {{ items: Array<Object>, append: Function }} 場景；append 的用法與 d3 selection 相同
+ */
+export function createCanvasScene() {
+  const scene = {
+    items: [],
+    append(tag) {
+      const item = createSceneItem(tag, scene);
+      if (tag !== 'g') scene.items.push(item);
+      return item;
+    },
+  };
+  return scene;
+}
+
+// ==================== 🎨 繪製 (Rendering) ====================
+
+/**
+ * 取得元素的樣式值（style 優先於 attr，與 SVG 相同）
+ *
+ * @param {Object} item - 場景元素
+ * @param {string} name - 屬性名稱
+ * @returns {*} 樣式值
+ */
+function readPaint(item, name) {
+  return item.styles[name] ?? item.attrs[name];
+}
+
+/**
+ * 是否綁定事件（只有綁定事件的元素需要點擊判定）
+ *
+ * @param {Object} item - 場景元素
+ * @returns {boolean} 是否綁定事件
+ */
+function hasHandlers(item) {
+  return Object.keys(item.handlers).length > 0;
+}
+
+/**
+ * 是否為需要繪製的顏色
+ *
+ * @param {string|undefined} color - 顏色
+ * @returns {boolean} 是否需要繪製
+ */
+function isPainted(color) {
+  return Boolean(color) && color !== 'none' && color !== 'transparent';
+}
+
+/**
+ * 解析 `translate(x, y)` 位移
+ *
+ * @param {string|undefined} transform - transform 屬性
+ * @returns {number[]} [x, y]
+ */
+function parseTranslate(transform) {
+  const match = /translate\(\s*([-\d.e]+)[\s,]+([-\d.e]+)\s*\)/.exec(transform ?? '');
+  return match ? [Number(match[1]), Number(match[2])] : [0, 0];
+}
+
+/**
+ * 以目前的填色與線條設定繪製形狀
+ *
+ * @param {CanvasRenderingContext2D} context - 繪圖環境
+ * @param {Object} item - 場景元素
+ * @param {Path2D} [path] - 形狀；未提供時使用目前的路徑
+ * @param {string} [defaultFill] - 未設定 fill 時的填色（SVG 的 path、circle 預設為黑色）
+ */
+function paintShape(context, item, path, defaultFill) {
+  const fill = readPaint(item, 'fill') ?? defaultFill;
+  const stroke = readPaint(item, 'stroke');
+
+  if (isPainted(fill)) {
+    context.fillStyle = fill;
+    path ? context.fill(path) : context.fill();
+  }
+  if (isPainted(stroke)) {
+    context.strokeStyle = stroke;
+    context.lineWidth = Number(readPaint(item, 'stroke-width') ?? 1);
+    path ? context.stroke(path) : context.stroke();
+  }
+}
+
+/**
+ * 繪製文字並記錄點擊範圍
+ *
+ * @param {CanvasRenderingContext2D} context - 繪圖環境
+ * @param {Object} item - 場景元素
+ * @param {string} fontFamily - 字型
+ */
+function paintText(context, item, fontFamily) {
+  const { attrs } = item;
+  const fontSize = parseFloat(attrs['font-size']) || 16;
+  const x = Number(attrs.x ?? 0);
+  const y = Number(attrs.y ?? 0);
+
+  context.font = `${attrs['font-weight'] ?? 'normal'} ${fontSize}px ${fontFamily}`;
+  context.textAlign = TEXT_ALIGN[attrs['text-anchor']] ?? 'left';
+  context.textBaseline = TEXT_BASELINE[attrs['dominant-baseline']] ?? 'alphabetic';
+
+  const stroke = readPaint(item, 'stroke');
+  if (isPainted(stroke)) {
+    context.strokeStyle = stroke;
+    context.lineWidth = Number(readPaint(item, 'stroke-width') ?? 1);
+    context.lineJoin = 'round';
+    context.strokeText(item.content, x, y);
+  }
+  context.fillStyle = readPaint(item, 'fill') ?? '#000000';
+  context.fillText(item.content, x, y);
+
+  if (hasHandlers(item)) {
+    const metrics = context.measureText(item.content);
+    item.bounds = {
+      x0: x - metrics.actualBoundingBoxLeft,
+      x1: x + metrics.actualBoundingBoxRight,
+      y0: y - metrics.actualBoundingBoxAscent,
+      y1: y + metrics.actualBoundingBoxDescent,
+    };
+  }
+}
+
+/**
+ * 🎨 繪製場景 (Render Canvas Scene)
+ *
+ * 依加入順序繪製（後加入的在上層），只繪製縮放後位於畫面內的文字與圓形。
+ *
+ * @param {CanvasRenderingContext2D} context - 繪圖環境
+ * @param {Object} scene - createCanvasScene 建立的場景
+ * @param {Object} options - 繪製選項
+ * @param {number} options.width - 畫布寬度（CSS 像素）
+ * @param {number} options.height - 畫布高度（CSS 像素）
+ * @param {{ k: number, x: number, y: number }} options.transform - 縮放與平移（d3.zoomTransform）
+ * @param {number} [options.pixelRatio=1] - 裝置像素比
+ * @param {string} [options.background] - 背景色；未提供時保持透明
+ * @param {string} [options.fontFamily='sans-serif'] - 文字字型
+ */
+export function renderCanvasScene(context, scene, options) {
+  const {
+    width,
+    height,
+    transform,
+    pixelRatio = 1,
+    background,
+    fontFamily = 'sans-serif',
+  } = options;
+  const { k, x: tx, y: ty } = transform;
+
+  context.save();
+  context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+  context.translate(tx, ty);
+  context.scale(k, k);
+
+  // 畫面在畫布座標中的範圍
+  const view = {
+    x0: -tx / k - CULL_MARGIN,
+    y0: -ty / k - CULL_MARGIN,
+    x1: (width - tx) / k + CULL_MARGIN,
+    y1: (height - ty) / k + CULL_MARGIN,
+  };
+  const isInView = (px, py) => px >= view.x0 && px <= view.x1 && py >= view.y0 && py <= view.y1;
+
+  scene.items.forEach((item) => {
+    const { attrs } = item;
+    item.bounds = null;
+    context.globalAlpha = Number(attrs.opacity ?? 1);
+
+    switch (item.tag) {
+      case 'line':
+        context.beginPath();
+        context.moveTo(attrs.x1, attrs.y1);
+        context.lineTo(attrs.x2, attrs.y2);
+        paintShape(context, item);
+        break;
+      case 'path': {
+        if (!attrs.d) break;
+        const [dx, dy] = parseTranslate(attrs.transform);
+        const path = new Path2D(attrs.d);
+        context.save();
+        context.translate(dx, dy);
+        paintShape(context, item, path, '#000000');
+        context.restore();
+        if (hasHandlers(item)) {
+          item.bounds = {
+            path,
+            dx,
+            dy,
+            filled: isPainted(readPaint(item, 'fill') ?? '#000000'),
+            lineWidth: isPainted(readPaint(item, 'stroke'))
+              ? Number(readPaint(item, 'stroke-width') ?? 1)
+              : 0,
+          };
+        }
+        break;
+      }
+      case 'rect': {
+        const rx = Number(attrs.x ?? 0);
+        const ry = Number(attrs.y ?? 0);
+        const rw = Number(attrs.width ?? 0);
+        const rh = Number(attrs.height ?? 0);
+        if (rx > view.x1 || ry > view.y1 || rx + rw < view.x0 || ry + rh < view.y0) break;
+        context.beginPath();
+        context.rect(rx, ry, rw, rh);
+        paintShape(context, item, undefined, '#000000');
+        if (hasHandlers(item)) {
+          item.bounds = { x0: rx, y0: ry, x1: rx + rw, y1: ry + rh };
+        }
+        break;
+      }
+      case 'circle': {
+        const cx = Number(attrs.cx ?? 0);
+        const cy = Number(attrs.cy ?? 0);
+        const r = Number(attrs.r ?? 0);
+        if (!isInView(cx, cy)) break;
+        context.beginPath();
+        context.arc(cx, cy, r, 0, Math.PI * 2);
+        paintShape(context, item, undefined, '#000000');
+        if (hasHandlers(item)) {
+          item.bounds = { cx, cy, r: r + Number(readPaint(item, 'stroke-width') ?? 0) / 2 };
+        }
+        break;
+      }
+      case 'text':
+        if (!item.content || !isInView(Number(attrs.x ?? 0), Number(attrs.y ?? 0))) break;
+        paintText(context, item, fontFamily);
+        break;
+      default:
+        break;
+    }
+  });
+
+  context.restore();
+}
+
+// ==================== 🎯 點擊判定 (Hit Testing) ====================
+
+/**
+ * 點是否落在路徑的線條或填色範圍內
+ * 以單位矩陣判定，路徑與點都使用畫布座標（不受目前的縮放影響）
+ *
+ * @param {CanvasRenderingContext2D} context - 繪圖環境
+ * @param {Object} bounds - 路徑的點擊範圍
+ * @param {number} x - 畫布座標 x
+ * @param {number} y - 畫布座標 y
+ * @returns {boolean} 是否落在範圍內
+ */
+function isPointInPathBounds(context, bounds, x, y) {
+  const px = x - bounds.dx;
+  const py = y - bounds.dy;
+
+  context.save();
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.lineWidth = bounds.lineWidth;
+  const hit =
+    (bounds.filled && context.isPointInPath(bounds.path, px, py)) ||
+    (bounds.lineWidth > 0 && context.isPointInStroke(bounds.path, px, py));
+  context.restore();
+  return hit;
+}
+
+/**
+ * 🎯 找出位置上的元素 (Hit Test Canvas Scene)
+ *
+ * @param {Object} scene - 已繪製過的場景
+ * @param {number} x - 畫布座標 x（已反算縮放與平移）
+ * @param {number} y - 畫布座標 y
+ * @param {CanvasRenderingContext2D} [context] - 繪圖環境；判定 path 時需要，未提供時略過 path
+ * @returns {Object|null} 最上層且綁定事件的元素；沒有時為 null
+ */
+export function hitTestCanvasScene(scene, x, y, context) {
+  for (let index = scene.items.length - 1; index >= 0; index--) {
+    const { bounds } = scene.items[index];
+    if (!bounds) continue;
+
+    let hit;
+    if ('path' in bounds) {
+      hit = Boolean(context) && isPointInPathBounds(context, bounds, x, y);
+    } else if ('r' in bounds) {
+      hit = Math.hypot(x - bounds.cx, y - bounds.cy) <= bounds.r;
+    } else {
+      hit = x >= bounds.x0 && x <= bounds.x1 && y >= bounds.y0 && y <= bounds.y1;
+    }
+    if (hit) return scene.items[index];
+  }
+  return null;
+}
@@ -5,11 +5,16 @@
  * 並將其轉換為適合前端視覺化組件使用的標準化格式。該模組是整個系統的數據處理中心，
  * 確保數據的完整性、一致性和可用性。
  *
+ * 載入後的處理與繪製數據轉換位於 layerProcessing.js，由處理 Worker 執行；
+ * 本模組負責讀取檔案、解析圖層設定，並把數據交給 Worker。
+ *
  * 🎯 主要功能 (Core Features):
  * 1. 📁 JSON 檔案載入：支援多種 JSON 格式的地理空間數據載入
  *    - 網格示意圖數據：包含 x, y 座標的網格節點數據
  *    - 行政區示意圖數據：包含節點和連線的複雜網絡數據
  *    - 一般地理數據：標準的 GeoJSON 或自定義格式數據
+ *    - GeoJSON 路網：LineString 路線與 Point 車站，自動吸附到網格並產生節點類型
+ *    - GTFS 靜態資料：從本機 zip 或資料夾推導路線停靠模式
  * 2. 📋 數據預處理：將原始數據轉換為標準化格式
  *    - 數據驗證和清理：確保數據完整性和正確性
  *    - 格式標準化：統一不同來源的數據格式
@@ -78,6 +83,43 @@
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise} Promise 文檔
  */
 
+/**
+ * 可重現隨機數工具引入
+ * 解析圖層的隨機數種子（網址 ?seed= 優先）
+ */
+import { resolveLayerSeed } from './random.js';
+
+/**
+ * GeoJSON 路網匯入工具引入
+ * 將 LineString / Point 轉換為示意圖節點格式
+ */
+import { DEFAULT_GEOJSON_RESOLUTION, importGeoJsonToSchematic } from './geojsonImporter.js';
+
+/**
+ * GTFS 靜態資料匯入工具引入
+ * 讀取本機 GTFS 檔案並推導路線停靠模式
+ */
+import { buildGtfsGeoJson, readGtfsFiles } from './gtfsImporter.js';
+
+/**
+ * CSV 解析工具引入
+ * 用於讀取網格數值 CSV（x,y,value[,type]）
+ */
+import { parseCsv } from './csv.js';
+
+/**
+ * 圖層數據處理函數引入
+ * 載入後的處理與繪製數據轉換（Worker 與主執行緒備援共用）
+ */
+import { runProcessingTask, VALUE_SOURCES } from './layerProcessing.js';
+
+/**
+ * 數據處理 Worker 工具引入
+ * 在獨立執行緒中執行載入後的數據處理，並回報進度
+ */
+import { runInProcessingWorker } from './processingClient.js';
+import { PROCESSING_TASKS } from './processingProtocol.js';
+
 // ==================== ⚙️ 配置常數 (Configuration Constants) ====================
 
 /**
@@ -122,7 +164,7 @@
  * @property {string} FALLBACK_JSON - 備用 JSON 文件路徑（開發環境）
  * @since 1.0.0
  */
-const PATH_CONFIG = {
+export const PATH_CONFIG = {
   /**
    * JSON 文件路徑 - 生產環境
    * 用於 GitHub Pages 部署的完整路徑，包含專案名稱
@@ -138,6 +180,42 @@ const PATH_CONFIG = {
   FALLBACK_JSON: '/data',
 };
 
+/**
+ * ⏱️ 檔案載入配置 (File Loading Configuration)
+ *
+ * loadFile 的預設逾時與重試設定。逾時、網路錯誤與暫時性的 HTTP 錯誤
+ * （408、429、5xx）會以指數退避重試：第 n 次重試前等待 RETRY_DELAY_MS × 2^(n-1)。
+ * 404 等其他錯誤不重試，直接改用備用路徑。
+ *
+ * @type {Object}
+ * @property {number} TIMEOUT_MS - 單次請求逾時（毫秒）
+ * @property {number} RETRIES - 每個路徑的最大重試次數
+ * @property {number} RETRY_DELAY_MS - 第一次重試前的等待時間（毫秒）
+ * @since 3.1.0
+ */
+export const LOAD_CONFIG = {
+  TIMEOUT_MS: 15000,
+  RETRIES: 2,
+  RETRY_DELAY_MS: 500,
+};
+
+/**
+ * 🗂️ 使用者檔案的示意圖格式 (User File Schematic Formats)
+ *
+ * 使用者拖放或選取的檔案經 detectSchematicFormat 判斷後的格式：
+ * - GRID: 網格示意圖（尺寸設定、二維矩陣或 x,y,value 紀錄），使用 processGridToDrawData 繪製
+ * - METRO: 捷運示意圖（`[{ name, color, nodes }]`），使用 processMetroToDrawData 繪製
+ *
+ * @type {Object}
+ * @property {string} GRID - 網格示意圖
+ * @property {string} METRO - 捷運示意圖
+ * @since 3.1.0
+ */
+export const SCHEMATIC_FORMATS = {
+  GRID: 'grid',
+  METRO: 'metro',
+};
+
 // ==================== 🔧 輔助函數 (Helper Functions) ====================
 
 /**
@@ -150,6 +228,8 @@ const PATH_CONFIG = {
  * 🎯 核心功能 (Core Features):
  * - 雙路徑載入：支援主要路徑和備用路徑的檔案載入
  * - 自動容錯：主要路徑失敗時自動嘗試備用路徑
+ * - 逾時與重試：每個路徑各自逾時，暫時性錯誤以指數退避重試（見 LOAD_CONFIG）
+ * - 可取消：傳入 AbortSignal 可中斷請求，取消時拋出 AbortError 且不再嘗試備用路徑
  * - 詳細日誌：提供完整的載入過程日誌記錄
  * - 錯誤處理：完整的錯誤捕獲和錯誤信息提供
  * - 狀態追蹤：實時追蹤載入狀態和進度
@@ -207,8 +287,14 @@ const PATH_CONFIG = {
  *
  * @param {string} primaryPath - 主要檔案路徑，優先嘗試載入此路徑
  * @param {string} [fallbackPath=null] - 備用檔案路徑，主要路徑失敗時使用
+ * @param {Object} [options] - 請求選項
+ * @param {AbortSignal} [options.signal] - 取消訊號
+ * @param {string} [options.method='GET'] - HTTP 方法（檢查 ETag 時使用 HEAD）
+ * @param {number} [options.timeout=LOAD_CONFIG.TIMEOUT_MS] - 單次請求逾時（毫秒）
+ * @param {number} [options.retries=LOAD_CONFIG.RETRIES] - 每個路徑的最大重試次數
+ * @param {number} [options.retryDelay=LOAD_CONFIG.RETRY_DELAY_MS] - 第一次重試前的等待時間（毫秒）
  * @returns {Promise<Response>} - 成功載入的檔案響應物件
- * @throws {Error} - 當所有路徑都無法載入時拋出詳細錯誤信息
+ * @throws {Error} - 當所有路徑都無法載入時拋出詳細錯誤信息；取消時拋出 AbortError
  *
  * @example
  * // 載入 JSON 檔案
@@ -222,30 +308,23 @@ const PATH_CONFIG = {
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API} Fetch API 文檔
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Response} Response 文檔
  */
-async function loadFile(primaryPath, fallbackPath = null) {
+export async function loadFile(primaryPath, fallbackPath = null, options = {}) {
   try {
     // 嘗試載入主要路徑
-    const response = await fetch(primaryPath);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    return response;
+    return await fetchWithRetry(primaryPath, options);
   } catch (error) {
+    // 使用者取消時不再嘗試備用路徑
+    if (isAbortError(error)) throw error;
+
     console.warn(`⚠️ 主要路徑載入失敗: ${primaryPath}`, error.message);
 
     // 如果有備用路徑，嘗試載入備用路徑
     if (fallbackPath) {
       try {
-        const fallbackResponse = await fetch(fallbackPath);
-
-        if (!fallbackResponse.ok) {
-          throw new Error(`HTTP ${fallbackResponse.status}: ${fallbackResponse.statusText}`);
-        }
-
-        return fallbackResponse;
+        return await fetchWithRetry(fallbackPath, options);
       } catch (fallbackError) {
+        if (isAbortError(fallbackError)) throw fallbackError;
+
         console.error(`❌ 備用路徑也載入失敗: ${fallbackPath}`, fallbackError.message);
         throw new Error(
           `無法載入檔案。主要路徑: ${primaryPath}, 備用路徑: ${fallbackPath}。錯誤: ${error.message}`
@@ -258,6 +337,227 @@ async function loadFile(primaryPath, fallbackPath = null) {
   }
 }
 
+/**
+ * 📂 載入數據目錄中的檔案 (Load Data File)
+ *
+ * 所有圖層載入函數共用的入口：依 PATH_CONFIG 組出主要與備用路徑後交給 loadFile。
+ *
+ * @param {string} fileName - 相對於數據目錄的檔案路徑
+ * @param {Object} [options] - 同 loadFile 的 options（signal、timeout、retries、retryDelay）
+ * @returns {Promise<Response>} 成功載入的檔案響應物件
+ * @throws {Error} 兩個路徑都無法載入，或請求被取消時拋出錯誤
+ * @since 3.1.0
+ */
+export function loadDataFile(fileName, options = {}) {
+  return loadFile(
+    `${PATH_CONFIG.JSON}/${fileName}`,
+    `${PATH_CONFIG.FALLBACK_JSON}/${fileName}`,
+    options
+  );
+}
+
+/**
+ * 🚫 建立取消錯誤 (Create Abort Error)
+ *
+ * @returns {DOMException} name 為 AbortError 的錯誤，與 fetch 被取消時相同
+ */
+function createAbortError() {
+  return new DOMException('載入已取消', 'AbortError');
+}
+
+/**
+ * 🔍 判斷是否為取消錯誤 (Is Abort Error)
+ *
+ * @param {Error} error - 捕獲的錯誤
+ * @returns {boolean} 是否因 AbortSignal 取消
+ * @since 3.1.0
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * 🚫 已取消時拋出錯誤 (Throw If Aborted)
+ *
+ * 讀取本機檔案等不經過 fetch 的載入步驟之間呼叫，讓取消也能立即生效。
+ *
+ * @param {AbortSignal} [signal] - 取消訊號
+ * @throws {DOMException} signal 已取消時拋出 AbortError
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+/**
+ * ⏳ 可取消的等待 (Abortable Delay)
+ *
+ * @param {number} ms - 等待毫秒數
+ * @param {AbortSignal} [signal] - 取消訊號
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * ⏱️ 帶逾時的 fetch (Fetch with Timeout)
+ *
+ * 內部以 AbortController 同時處理逾時與外部取消；外部 signal 取消時拋出 AbortError，
+ * 逾時則拋出一般錯誤（可重試）。
+ *
+ * @param {string} path - 檔案路徑
+ * @param {Object} options - 請求選項
+ * @param {AbortSignal} [options.signal] - 外部取消訊號
+ * @param {number} options.timeout - 逾時毫秒數
+ * @param {string} [options.method='GET'] - HTTP 方法
+ * @returns {Promise<Response>} HTTP 成功的響應物件
+ * @throws {Error} 逾時、網路錯誤或 HTTP 錯誤（error.status 為狀態碼）
+ */
+async function fetchWithTimeout(path, { signal, timeout, method = 'GET' }) {
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  // 外部取消也要中斷回應內容的讀取，因此不移除監聽
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  try {
+    const response = await fetch(path, { method, signal: controller.signal });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  } catch (error) {
+    if (timedOut) throw new Error(`請求逾時（${timeout}ms）`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 🔁 帶重試的 fetch (Fetch with Retry)
+ *
+ * @param {string} path - 檔案路徑
+ * @param {Object} [options] - 同 loadFile 的 options
+ * @returns {Promise<Response>} HTTP 成功的響應物件
+ * @throws {Error} 重試用盡或遇到不可重試的錯誤時拋出最後一次的錯誤
+ */
+async function fetchWithRetry(path, options = {}) {
+  const {
+    signal,
+    method,
+    timeout = LOAD_CONFIG.TIMEOUT_MS,
+    retries = LOAD_CONFIG.RETRIES,
+    retryDelay = LOAD_CONFIG.RETRY_DELAY_MS,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchWithTimeout(path, { signal, timeout, method });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      // 404 等用戶端錯誤重試也不會成功
+      const isRetryable =
+        error.status === undefined ||
+        error.status === 408 ||
+        error.status === 429 ||
+        error.status >= 500;
+      if (!isRetryable || attempt >= retries) throw error;
+
+      const wait = retryDelay * 2 ** attempt;
+      console.warn(`⚠️ 載入失敗，${wait}ms 後重試 (${attempt + 1}/${retries}): ${path}`);
+      await delay(wait, signal);
+    }
+  }
+}
+
+/**
+ * 🔍 判斷示意圖數據格式 (Detect Schematic Format)
+ *
+ * 依數據結構判斷是網格或捷運示意圖：
+ * - 含有 nodes 陣列的路線陣列 → METRO
+ * - 二維矩陣、`{ values }`、`{ x, y }` 尺寸設定或 `[{ x, y, value }]` 紀錄 → GRID
+ *
+ * @param {Object|Array} data - 已解析的 JSON 或 CSV 數據
+ * @returns {string|null} SCHEMATIC_FORMATS 中的格式；無法辨識時回傳 null
+ */
+export function detectSchematicFormat(data) {
+  if (Array.isArray(data)) {
+    if (data.length === 0) return null;
+    if (Array.isArray(data[0])) return SCHEMATIC_FORMATS.GRID;
+    if (data.every((item) => item && Array.isArray(item.nodes))) return SCHEMATIC_FORMATS.METRO;
+    if (data.every((item) => item && item.x !== undefined && item.y !== undefined)) {
+      return SCHEMATIC_FORMATS.GRID;
+    }
+    return null;
+  }
+
+  if (data && typeof data === 'object') {
+    if (Array.isArray(data.values)) return SCHEMATIC_FORMATS.GRID;
+    if (parseInt(data.x) > 0 && parseInt(data.y) > 0) return SCHEMATIC_FORMATS.GRID;
+  }
+
+  return null;
+}
+
+/**
+ * 📂 讀取使用者檔案 (Read User Layer File)
+ *
+ * 在瀏覽器本機讀取使用者拖放或選取的 .json / .csv 檔案，解析後判斷示意圖格式。
+ * CSV 一律視為 `x,y,value[,type]` 網格數值。
+ *
+ * @param {File} file - 使用者選取的檔案
+ * @returns {Promise<{ format: string, data: Object|Array }>} 示意圖格式與解析後的數據
+ * @throws {Error} 副檔名不支援、JSON 格式錯誤或無法辨識示意圖格式時拋出錯誤
+ */
+export async function readUserLayerFile(file) {
+  if (!file) {
+    throw new Error('沒有可讀取的檔案');
+  }
+
+  const text = await file.text();
+  let data;
+  if (/\.csv$/i.test(file.name)) {
+    data = parseCsv(text, { columns: ['x', 'y', 'value', 'type'] });
+  } else if (/\.json$/i.test(file.name)) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`檔案 "${file.name}" 不是有效的 JSON: ${error.message}`);
+    }
+  } else {
+    throw new Error(`不支援的檔案類型: ${file.name}（僅支援 .json 與 .csv）`);
+  }
+
+  const format = detectSchematicFormat(data);
+  if (!format) {
+    throw new Error(`無法辨識檔案 "${file.name}" 的示意圖格式（網格或捷運）`);
+  }
+
+  return { format, data };
+}
+
 // ==================== 主要函數 ====================
 
 /**
@@ -312,19 +612,28 @@ async function loadFile(primaryPath, fallbackPath = null) {
  *   dashboardData: Object,         // 統計摘要數據
  *   dataTableData: Array,           // 表格顯示數據
  *   layerInfoData: Object,          // 圖層資訊數據
+ *   drawJsonData: Object | null,    // 繪製數據（處理 Worker 一併產生）
+ *   resultSize: number | undefined, // 處理結果的位元組數（Worker 計算，作為快取大小）
  * }
  * ```
  *
  * ⚠️ 注意事項 (Important Notes):
  * - 該函數是異步的，需要使用 await 或 .then() 處理
  * - 載入失敗時會拋出錯誤，需要適當的錯誤處理
- * - 大型數據集可能需要較長的載入時間
- * - 建議在載入過程中顯示進度指示器
+ * - 載入後的處理在 Worker 中執行，進度透過 options.onProgress 回報
  *
  * @param {Object} layer - 圖層配置對象，包含載入所需的配置信息
+ * @param {Object} [options] - 載入選項
+ * @param {AbortSignal} [options.signal] - 取消載入用的訊號（圖層關閉時中止）
+ * @param {Function} [options.onProgress] - 處理進度回呼 `(progress: 0 ~ 100, message) => void`
  * @param {string} layer.jsonFileName - JSON 文件名稱，相對於數據目錄
  * @param {string} [layer.layerName] - 圖層名稱，用於日誌記錄
  * @param {string} [layer.type] - 圖層類型，用於數據處理
+ * @param {number|string} [layer.seed] - 節點數值的隨機數種子（可被網址 ?seed= 覆寫）
+ * @param {number[]} [layer.valueWeights] - 節點數值權重表
+ * @param {string} [layer.valueSource='random'] - 節點數值來源：'file' | 'random' | 'external'
+ * @param {string} [layer.valueFileName] - 外部數值檔案名稱（external 模式必填）
+ * @param {string} [layer.nodeTypeMode='report'] - 節點類型模式：'report' | 'override'
  * @returns {Promise<Object>} - 包含處理後數據的對象
  * @throws {Error} - 當載入或處理失敗時拋出錯誤
  *
@@ -337,19 +646,238 @@ async function loadFile(primaryPath, fallbackPath = null) {
  * @see {@link loadFile} 通用檔案載入函數
  * @see {@link processDataLayerJson} 數據圖層處理函數
  */
-export async function loadDataLayerJson(layer) {
+export async function loadDataLayerJson(layer, options = {}) {
   try {
-    const fileName = layer.jsonFileName;
-    // 數據圖層直接從 /data/ 路徑載入
-    const dataPath = `${PATH_CONFIG.JSON}/${fileName}`;
-    const response = await loadFile(dataPath);
+    const response = await loadDataFile(layer.jsonFileName, { signal: options.signal });
 
     const jsonData = await response.json();
 
+    // 外部數值模式：另外載入數值檔案
+    let externalValues = null;
+    if (layer.valueSource === VALUE_SOURCES.EXTERNAL) {
+      if (!layer.valueFileName) {
+        throw new Error(`圖層 "${layer.layerName}" 設定為外部數值模式，但缺少 valueFileName`);
+      }
+      const valueResponse = await loadDataFile(layer.valueFileName, { signal: options.signal });
+      externalValues = await valueResponse.json();
+    }
+
     // 處理數據圖層的特殊邏輯
-    return await processDataLayerJson(jsonData);
+    return await processInBackground(
+      PROCESSING_TASKS.METRO,
+      jsonData,
+      {
+        seed: resolveLayerSeed(layer),
+        weights: layer.valueWeights,
+        valueSource: layer.valueSource,
+        valueFileName: layer.valueFileName,
+        externalValues,
+        nodeTypeMode: layer.nodeTypeMode,
+      },
+      options
+    );
+  } catch (error) {
+    if (!isAbortError(error)) console.error('❌ 數據圖層 JSON 數據載入或處理失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 🌐 載入 GeoJSON 路網圖層 (Load GeoJSON Network Layer)
+ *
+ * 載入 GeoJSON FeatureCollection（LineString 路線 + Point 車站），透過
+ * importGeoJsonToSchematic 投影並吸附到網格，轉換成與手繪示意圖相同的節點格式後，
+ * 再交給 processDataLayerJson 處理。因此匯入的路網可以直接使用 processMetroToDrawData
+ * 與 drawAdministrativeSchematic 繪製。
+ *
+ * 📈 返回數據結構 (Return Data Structure):
+ * - jsonData：原始 GeoJSON
+ * - processedJsonData：吸附後的示意圖路線 `[{ name, color, nodes }]`
+ * - layerInfoData：額外包含 sourceFormat 與 gridResolution
+ *
+ * @param {Object} layer - 圖層配置對象
+ * @param {Object} [options] - 載入選項
+ * @param {AbortSignal} [options.signal] - 取消載入用的訊號（圖層關閉時中止）
+ * @param {Function} [options.onProgress] - 處理進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @param {string} layer.jsonFileName - GeoJSON 文件名稱，相對於數據目錄
+ * @param {number} [layer.gridResolution] - 網格解析度（路網較長邊的格數，預設 40）
+ * @param {number|string} [layer.seed] - 節點數值的隨機數種子
+ * @param {number[]} [layer.valueWeights] - 節點數值權重表
+ * @param {string} [layer.valueSource='random'] - 節點數值來源
+ * @returns {Promise<Object>} - 包含處理後數據的對象
+ * @throws {Error} - 當載入失敗或 GeoJSON 中沒有路線時拋出錯誤
+ *
+ * @example
+ * const layer = { jsonFileName: 'sample/sample_metro.geojson', gridResolution: 30 };
+ * const result = await loadGeoJsonLayer(layer);
+ *
+ * @since 3.1.0
+ * @see {@link importGeoJsonToSchematic} GeoJSON 轉換函數
+ */
+export async function loadGeoJsonLayer(layer, options = {}) {
+  try {
+    const response = await loadDataFile(layer.jsonFileName, { signal: options.signal });
+    const geojson = await response.json();
+
+    // 投影並吸附到網格，產生示意圖路線
+    const gridResolution = parseInt(layer.gridResolution) || DEFAULT_GEOJSON_RESOLUTION;
+    const schematicLines = importGeoJsonToSchematic(geojson, { resolution: gridResolution });
+
+    const result = await processInBackground(
+      PROCESSING_TASKS.METRO,
+      schematicLines,
+      {
+        seed: resolveLayerSeed(layer),
+        weights: layer.valueWeights,
+        valueSource: layer.valueSource,
+      },
+      options
+    );
+
+    return {
+      ...result,
+      jsonData: geojson, // 保持原始 GeoJSON 不變
+      layerInfoData: {
+        ...result.layerInfoData,
+        sourceFormat: 'GeoJSON',
+        gridResolution: gridResolution,
+      },
+    };
   } catch (error) {
-    console.error('❌ 數據圖層 JSON 數據載入或處理失敗:', error);
+    if (!isAbortError(error)) console.error('❌ GeoJSON 路網圖層載入或處理失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 🚇 載入 GTFS 路網圖層 (Load GTFS Network Layer)
+ *
+ * 從使用者以檔案選擇器選取的本機 GTFS zip 或資料夾建立捷運圖層。檔案透過
+ * readGtfsFiles 讀取，buildGtfsGeoJson 推導每個停靠模式的車站序列（route_color
+ * 對應路線 color），再沿用 GeoJSON 匯入的網格吸附與 processDataLayerJson 流程。
+ * 整個過程只讀取本機檔案，不需要網路連線。
+ *
+ * @param {Object} layer - 圖層配置對象
+ * @param {Object} [options] - 載入選項
+ * @param {AbortSignal} [options.signal] - 取消載入用的訊號（圖層關閉時中止）
+ * @param {Function} [options.onProgress] - 處理進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @param {FileList|File[]} layer.sourceFiles - 使用者選取的 GTFS zip 或資料夾檔案
+ * @param {number} [layer.gridResolution] - 網格解析度（路網較長邊的格數，預設 40）
+ * @param {number|string} [layer.seed] - 節點數值的隨機數種子
+ * @param {number[]} [layer.valueWeights] - 節點數值權重表
+ * @param {string} [layer.valueSource='random'] - 節點數值來源
+ * @returns {Promise<Object>} - 包含處理後數據的對象（jsonData 為推導出的 GeoJSON）
+ * @throws {Error} - 當缺少檔案、缺少必要 GTFS 檔案或無法推導路線時拋出錯誤
+ *
+ * @since 3.1.0
+ * @see {@link readGtfsFiles} GTFS 檔案讀取函數
+ * @see {@link buildGtfsGeoJson} GTFS 轉 GeoJSON 函數
+ */
+export async function loadGtfsLayer(layer, options = {}) {
+  try {
+    if (!layer.sourceFiles || layer.sourceFiles.length === 0) {
+      throw new Error(`圖層 "${layer.layerName}" 沒有可讀取的 GTFS 檔案`);
+    }
+
+    const { sourceName, tables } = await readGtfsFiles(layer.sourceFiles);
+    // 本機檔案讀取不經過 fetch，在耗時步驟之間檢查是否已取消
+    throwIfAborted(options.signal);
+    const geojson = buildGtfsGeoJson(tables);
+
+    // 投影並吸附到網格，產生示意圖路線
+    const gridResolution = parseInt(layer.gridResolution) || DEFAULT_GEOJSON_RESOLUTION;
+    const schematicLines = importGeoJsonToSchematic(geojson, { resolution: gridResolution });
+
+    const result = await processInBackground(
+      PROCESSING_TASKS.METRO,
+      schematicLines,
+      {
+        seed: resolveLayerSeed(layer),
+        weights: layer.valueWeights,
+        valueSource: layer.valueSource,
+      },
+      options
+    );
+
+    return {
+      ...result,
+      jsonData: geojson, // GTFS 原始檔過大，保留推導出的 GeoJSON
+      layerInfoData: {
+        ...result.layerInfoData,
+        sourceFormat: 'GTFS',
+        sourceName: sourceName,
+        totalRoutes: tables.routes.length,
+        totalTrips: tables.trips.length,
+        gridResolution: gridResolution,
+      },
+    };
+  } catch (error) {
+    if (!isAbortError(error)) console.error('❌ GTFS 路網圖層載入或處理失敗:', error);
+    throw error;
+  }
+}
+
+/**
+ * 📂 載入使用者檔案圖層 (Load User File Layer)
+ *
+ * 讀取使用者拖放或選取的本機 .json / .csv 檔案，依判斷出的格式交給
+ * processGridSchematicJson 或 processDataLayerJson 處理，輸出與靜態圖層相同的結構。
+ *
+ * @param {Object} layer - 圖層配置對象
+ * @param {Object} [options] - 載入選項
+ * @param {AbortSignal} [options.signal] - 取消載入用的訊號（圖層關閉時中止）
+ * @param {Function} [options.onProgress] - 處理進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @param {File} layer.sourceFile - 使用者選取的檔案
+ * @param {number|string} [layer.seed] - 節點數值的隨機數種子
+ * @param {number[]} [layer.valueWeights] - 節點數值權重表
+ * @param {string} [layer.valueSource] - 捷運格式的節點數值來源
+ * @param {string} [layer.missingCellPolicy] - 網格格式的缺值處理規則
+ * @param {string} [layer.nodeTypeMode] - 捷運格式的節點類型模式
+ * @returns {Promise<Object>} - 包含處理後數據的對象
+ * @throws {Error} - 當檔案無法讀取或無法辨識格式時拋出錯誤
+ *
+ * @since 3.1.0
+ * @see {@link readUserLayerFile} 使用者檔案讀取函數
+ */
+export async function loadUserFileLayer(layer, options = {}) {
+  try {
+    const { format, data } = await readUserLayerFile(layer.sourceFile);
+    throwIfAborted(options.signal);
+
+    const result =
+      format === SCHEMATIC_FORMATS.GRID
+        ? await processInBackground(
+            PROCESSING_TASKS.GRID,
+            data,
+            {
+              seed: resolveLayerSeed(layer),
+              weights: layer.valueWeights,
+              missingCellPolicy: layer.missingCellPolicy,
+            },
+            options
+          )
+        : await processInBackground(
+            PROCESSING_TASKS.METRO,
+            data,
+            {
+              seed: resolveLayerSeed(layer),
+              weights: layer.valueWeights,
+              valueSource: layer.valueSource,
+              nodeTypeMode: layer.nodeTypeMode,
+            },
+            options
+          );
+
+    return {
+      ...result,
+      layerInfoData: {
+        ...result.layerInfoData,
+        sourceFormat: format,
+        sourceName: layer.sourceFile.name,
+      },
+    };
+  } catch (error) {
+    if (!isAbortError(error)) console.error('❌ 使用者檔案圖層載入或處理失敗:', error);
     throw error;
   }
 }
@@ -408,6 +936,17 @@ export async function loadDataLayerJson(layer) {
  *   "x": 10,        // 網格 X 方向節點數量
  *   "y": 10         // 網格 Y 方向節點數量
  * }
+ *
+ * // 二維矩陣（matrix[y][x]，null 為缺值）
+ * { "values": [[3, 5, null], [2, 8, 1]] }
+ * ```
+ *
+ * 📈 輸入 CSV 格式 (Input CSV Format):
+ * ```
+ * x,y,value,type
+ * 0,0,3,1
+ * 1,0,5
+ * 2,0,
  * ```
  *
  * 📈 輸出數據結構 (Output Data Structure):
@@ -427,13 +966,14 @@ export async function loadDataLayerJson(layer) {
  *     nodeCount: number     // 節點總數
  *   },
  *   dataTableData: Array,       // 表格顯示數據
+ *   drawJsonData: Object,       // 繪製數據（處理 Worker 一併產生）
  * }
  * ```
  *
  * 🔄 數據處理流程 (Data Processing Flow):
  * 1. 接收圖層配置對象，提取 JSON 文件名稱
- * 2. 使用 loadFile 函數載入 JSON 配置文件
- * 3. 解析 JSON 數據，提取 x, y 網格尺寸參數
+ * 2. 使用 loadFile 函數載入 JSON 或 CSV 文件（依副檔名判斷）
+ * 3. 解析網格尺寸參數或量測數值（CSV 紀錄、二維矩陣）
  * 4. 驗證網格參數的有效性（確保為正整數）
  * 5. 動態生成網格節點數據結構
  * 6. 計算統計摘要和生成表格數據
@@ -446,9 +986,15 @@ export async function loadDataLayerJson(layer) {
  * - 建議在生成過程中顯示進度指示器
  *
  * @param {Object} layer - 圖層配置對象，包含載入所需的配置信息
- * @param {string} layer.jsonFileName - JSON 文件名稱，相對於數據目錄
+ * @param {Object} [options] - 載入選項
+ * @param {AbortSignal} [options.signal] - 取消載入用的訊號（圖層關閉時中止）
+ * @param {Function} [options.onProgress] - 處理進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @param {string} layer.jsonFileName - JSON 或 CSV 文件名稱，相對於數據目錄
  * @param {string} [layer.layerName] - 圖層名稱，用於日誌記錄
  * @param {string} [layer.type] - 圖層類型，應為 'grid'
+ * @param {number|string} [layer.seed] - 節點數值的隨機數種子（可被網址 ?seed= 覆寫）
+ * @param {number[]} [layer.valueWeights] - 節點數值權重表
+ * @param {string} [layer.missingCellPolicy='empty'] - 缺值處理規則：'empty' | 'zero' | 'mean' | 'random'
  * @returns {Promise<Object>} - 包含處理後網格數據的對象
  * @throws {Error} - 當載入或處理失敗時拋出錯誤
  *
@@ -463,743 +1009,54 @@ export async function loadDataLayerJson(layer) {
  * @see {@link loadFile} 通用檔案載入函數
  * @see {@link processGridSchematicJson} 網格示意圖處理函數
  */
-export async function loadGridSchematicJson(layer) {
+export async function loadGridSchematicJson(layer, options = {}) {
   try {
     // 載入 JSON 檔案
-    const response = await loadFile(
-      `${PATH_CONFIG.JSON}/${layer.jsonFileName}`,
-      `${PATH_CONFIG.FALLBACK_JSON}/${layer.jsonFileName}`
-    );
+    const response = await loadDataFile(layer.jsonFileName, { signal: options.signal });
 
-    const jsonData = await response.json();
+    // CSV 檔案（x,y,value[,type]）解析為紀錄陣列，其餘視為 JSON
+    const jsonData = /\.csv$/i.test(layer.jsonFileName)
+      ? parseCsv(await response.text(), { columns: ['x', 'y', 'value', 'type'] })
+      : await response.json();
 
     // 處理網格示意圖數據
-    return await processGridSchematicJson(jsonData);
+    return await processInBackground(
+      PROCESSING_TASKS.GRID,
+      jsonData,
+      {
+        seed: resolveLayerSeed(layer),
+        weights: layer.valueWeights,
+        missingCellPolicy: layer.missingCellPolicy,
+      },
+      options
+    );
   } catch (error) {
-    console.error('❌ 網格示意圖 JSON 數據載入失敗:', error);
+    if (!isAbortError(error)) console.error('❌ 網格示意圖 JSON 數據載入失敗:', error);
     throw error;
   }
 }
 
-/**
- * 📊 處理網格示意圖 JSON 數據 (Process Grid Schematic JSON Data)
- *
- * 這是一個專門用於處理網格示意圖 JSON 數據的核心函數，負責將原始的網格配置
- * 參數轉換為適合 D3.js 視覺化組件使用的標準化數據格式。該函數是網格示意圖
- * 數據處理流程的關鍵環節，確保數據的完整性和一致性。
- *
- * 🎯 主要功能 (Main Features):
- * - 網格參數解析：從 JSON 數據中提取 x, y 網格尺寸參數
- * - 動態網格生成：根據尺寸參數動態生成網格節點陣列
- * - 節點屬性設定：為每個節點設定座標、數值、類型等屬性
- * - 統計摘要計算：計算網格統計信息和摘要數據
- * - 表格數據建構：生成適合表格組件顯示的數據結構
- *
- * 🔧 技術實現 (Technical Implementation):
- * - 雙重迴圈生成：使用嵌套迴圈生成二維網格節點
- * - 隨機數值分配：為每個節點隨機分配 1-5 的數值
- * - 座標計算：根據網格位置計算節點的 x, y 座標
- * - 數據結構標準化：生成符合視覺化要求的標準數據格式
- *
- * 📊 網格生成邏輯 (Grid Generation Logic):
- * - 外層迴圈：遍歷 Y 方向（行）
- * - 內層迴圈：遍歷 X 方向（列）
- * - 節點座標：直接使用迴圈索引作為座標
- * - 節點數值：使用 Math.random() 生成 1-5 的隨機數
- * - 節點類型：預設為 1（可擴展支援多種類型）
- *
- * 🚀 使用範例 (Usage Examples):
- * ```javascript
- * // 處理網格配置數據
- * const jsonData = { x: 5, y: 5 };
- * const result = await processGridSchematicJson(jsonData);
- *
- * console.log('網格節點數量:', result.jsonData.nodes.length);
- * console.log('網格尺寸:', result.dashboardData.gridSize);
- * console.log('表格數據:', result.dataTableData);
- * ```
- *
- * 📈 輸入數據格式 (Input Data Format):
- * ```javascript
- * {
- *   "x": 10,        // 網格 X 方向節點數量
- *   "y": 10         // 網格 Y 方向節點數量
- * }
- * ```
- *
- * 📈 輸出數據結構 (Output Data Structure):
- * ```javascript
- * {
- *   jsonData: {
- *     gridX: number,        // 網格 X 方向節點數量
- *     gridY: number,        // 網格 Y 方向節點數量
- *     nodes: [              // 網格節點陣列
- *       {
- *         x: number,        // 節點 X 座標
- *         y: number,        // 節點 Y 座標
- *         value: number,    // 節點數值（1-5）
- *         type: number,     // 節點類型
- *         coord: { x: number, y: number }  // 節點座標對象
- *       }
- *     ],
- *     type: 'grid'          // 數據類型標識
- *   },
- *   dashboardData: {
- *     totalNodes: number,   // 總節點數量
- *     gridSize: string,     // 網格尺寸描述
- *     gridX: number,        // X 方向節點數量
- *     gridY: number,        // Y 方向節點數量
- *     nodeCount: number     // 節點總數
- *   },
- *   dataTableData: [            // 表格顯示數據
- *     {
- *       '#': number,        // 行號
- *       name: string,       // 網格名稱
- *       gridSize: string,   // 網格尺寸描述
- *       totalNodes: number, // 總節點數量
- *       nodes: Array        // 節點陣列
- *     }
- *   ],
- * }
- * ```
- *
- * 🔄 數據處理流程 (Data Processing Flow):
- * 1. 解析網格尺寸參數（x, y）
- * 2. 設定預設值（如果參數無效）
- * 3. 使用雙重迴圈生成網格節點
- * 4. 為每個節點設定座標和屬性
- * 5. 計算統計摘要信息
- * 6. 生成表格顯示數據
- * 7. 返回標準化的數據結構
- *
- * ⚠️ 注意事項 (Important Notes):
- * - 網格尺寸參數會自動設定預設值（10x10）
- * - 節點數值是隨機生成的，每次調用結果不同
- * - 大型網格可能需要較長的生成時間
- * - 生成的節點陣列是扁平化的，不保持二維結構
- *
- * @param {Object} jsonData - 包含網格尺寸參數的 JSON 數據
- * @param {number} [jsonData.x=10] - 網格 X 方向節點數量
- * @param {number} [jsonData.y=10] - 網格 Y 方向節點數量
- * @returns {Object} - 包含處理後網格數據的完整結構
- *
- * @example
- * // 處理網格數據
- * const jsonData = { x: 3, y: 3 };
- * const result = await processGridSchematicJson(jsonData);
- *
- * @since 1.0.0
- * @see {@link loadGridSchematicJson} 網格示意圖載入函數
- */
-/**
- * 🎲 生成符合機率分布的隨機數 (Generate Weighted Random Number)
- *
- * 根據指定的權重比例生成隨機數，實現非均勻分布
- * 權重比例：9:8:7:6:5:4:3:2:1:1 (對應數值 0:1:2:3:4:5:6:7:8:9)
- * 數值越高機率越低，數值越低機率越高
- *
- * @returns {number} 0-9 之間的整數，符合指定機率分布
- */
-function generateWeightedRandomValue() {
-  // 定義權重：9:8:7:6:5:4:3:2:1:1 (總權重 = 46)
-  const weights = [9, 8, 7, 6, 5, 4, 3, 2, 1, 1]; // 對應數值 0, 1, 2, 3, 4, 5, 6, 7, 8, 9
-  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-
-  // 生成 0 到總權重之間的隨機數
-  let random = Math.random() * totalWeight;
-
-  // 根據權重分配確定返回的數值
-  for (let i = 0; i < weights.length; i++) {
-    random -= weights[i];
-    if (random <= 0) {
-      return i; // 返回對應的數值 (0, 1, 2, 3, 4, 5, 6, 7, 8, 9)
-    }
-  }
-
-  // 備用返回（理論上不會執行到這裡）
-  return 0;
-}
-
-async function processGridSchematicJson(jsonData) {
-  // 解析網格尺寸
-  const gridX = parseInt(jsonData.x) || 10;
-  const gridY = parseInt(jsonData.y) || 10;
-
-  // 生成網格節點數據
-  const gridNodes = [];
-  for (let y = 0; y < gridY; y++) {
-    for (let x = 0; x < gridX; x++) {
-      gridNodes.push({
-        x: x,
-        y: y,
-        value: generateWeightedRandomValue(), // 使用權重隨機生成 1-5 的數值
-        type: 1, // 預設節點類型
-        coord: { x: x, y: y },
-      });
-    }
-  }
-
-  // 計算 x 排和 y 排的最大值與最小值
-  const xRowStats = []; // 每一 x 排的統計數據
-  const yRowStats = []; // 每一 y 排的統計數據
-
-  // 計算 x 排統計（垂直方向）
-  for (let x = 0; x < gridX; x++) {
-    const xRowNodes = gridNodes.filter((node) => node.x === x);
-    const values = xRowNodes.map((node) => node.value);
-    xRowStats.push({
-      row: x,
-      min: Math.min(...values),
-      max: Math.max(...values),
-      sum: values.reduce((sum, val) => sum + val, 0),
-      count: values.length,
-      avg: (values.reduce((sum, val) => sum + val, 0) / values.length).toFixed(2),
-    });
-  }
-
-  // 計算 y 排統計（水平方向）
-  for (let y = 0; y < gridY; y++) {
-    const yRowNodes = gridNodes.filter((node) => node.y === y);
-    const values = yRowNodes.map((node) => node.value);
-    yRowStats.push({
-      row: y,
-      min: Math.min(...values),
-      max: Math.max(...values),
-      sum: values.reduce((sum, val) => sum + val, 0),
-      count: values.length,
-      avg: (values.reduce((sum, val) => sum + val, 0) / values.length).toFixed(2),
-    });
-  }
-
-  // 計算整體統計
-  const allValues = gridNodes.map((node) => node.value);
-  const overallStats = {
-    min: Math.min(...allValues),
-    max: Math.max(...allValues),
-    sum: allValues.reduce((sum, val) => sum + val, 0),
-    count: allValues.length,
-    avg: (allValues.reduce((sum, val) => sum + val, 0) / allValues.length).toFixed(2),
-  };
-
-  // 建立摘要資料
-  const dashboardData = {
-    totalNodes: gridX * gridY,
-    gridSize: `${gridX} x ${gridY}`,
-    gridX: gridX,
-    gridY: gridY,
-    nodeCount: gridNodes.length,
-    // 新增統計數據
-    xRowStats: xRowStats,
-    yRowStats: yRowStats,
-    overallStats: overallStats,
-    // 簡化的統計摘要（用於儀表板顯示）
-    xRowMinMax: {
-      min: Math.min(...xRowStats.map((stat) => stat.min)),
-      max: Math.max(...xRowStats.map((stat) => stat.max)),
-    },
-    yRowMinMax: {
-      min: Math.min(...yRowStats.map((stat) => stat.min)),
-      max: Math.max(...yRowStats.map((stat) => stat.max)),
-    },
-  };
-
-  // 建立圖層資訊數據
-  const layerInfoData = {
-    totalNodes: gridX * gridY,
-    gridSize: `${gridX} x ${gridY}`,
-    gridX: gridX,
-    gridY: gridY,
-    // 新增統計數據
-    xRowStats: xRowStats,
-    yRowStats: yRowStats,
-    overallStats: overallStats,
-    xRowMinMax: {
-      min: Math.min(...xRowStats.map((stat) => stat.min)),
-      max: Math.max(...xRowStats.map((stat) => stat.max)),
-    },
-    yRowMinMax: {
-      min: Math.min(...yRowStats.map((stat) => stat.min)),
-      max: Math.max(...yRowStats.map((stat) => stat.max)),
-    },
-  };
-
-  // 建立表格資料
-  const dataTableData = [
-    {
-      '#': 1,
-      name: `網格示意圖 (${gridX}x${gridY})`,
-      gridSize: `${gridX} x ${gridY}`,
-      totalNodes: gridX * gridY,
-      nodes: gridNodes,
-      // 新增統計數據到表格
-      xRowMinMax: {
-        min: Math.min(...xRowStats.map((stat) => stat.min)),
-        max: Math.max(...xRowStats.map((stat) => stat.max)),
-      },
-      yRowMinMax: {
-        min: Math.min(...yRowStats.map((stat) => stat.min)),
-        max: Math.max(...yRowStats.map((stat) => stat.max)),
-      },
-      overallStats: overallStats,
-    },
-  ];
-
-  return {
-    jsonData: jsonData, // 保持原始數據不變
-    processedJsonData: {
-      gridX: gridX,
-      gridY: gridY,
-      nodes: gridNodes,
-      type: 'grid',
-      // 新增統計數據到處理後的數據
-      xRowStats: xRowStats,
-      yRowStats: yRowStats,
-      overallStats: overallStats,
-      xRowMinMax: {
-        min: Math.min(...xRowStats.map((stat) => stat.min)),
-        max: Math.max(...xRowStats.map((stat) => stat.max)),
-      },
-      yRowMinMax: {
-        min: Math.min(...yRowStats.map((stat) => stat.min)),
-        max: Math.max(...yRowStats.map((stat) => stat.max)),
-      },
-    },
-    dashboardData,
-    dataTableData,
-    layerInfoData,
-  };
-}
+// ==================== 🧵 背景處理 (Background Processing) ====================
 
 /**
- * 📊 處理數據圖層 JSON 數據 (Process Data Layer JSON Data)
+ * 🧵 在背景處理載入的數據 (Process Loaded Data in Background)
  *
- * 這是一個專門用於處理數據圖層 JSON 數據的核心函數，負責將原始的地理空間數據
- * 轉換為適合前端視覺化組件使用的標準化格式。該函數支援多種數據格式，包括
- * 示意圖節點數據和標準地理數據，並提供完整的數據預處理和格式轉換功能。
+ * 各載入函數共用：把處理交給 Worker，並轉發載入選項中的取消訊號與進度回呼。
  *
- * 🎯 主要功能 (Main Features):
- * - 數據格式識別：自動識別輸入數據的格式類型
- * - 示意圖節點處理：處理包含節點陣列的複雜示意圖數據
- * - 標準地理數據處理：處理一般的地理空間數據
- * - 數據隨機化：為示意圖節點隨機分配數值（用於測試）
- * - 統計摘要生成：計算數據統計信息和摘要數據
- * - 表格數據建構：生成適合表格組件顯示的數據結構
- *
- * 🔧 支援的數據格式 (Supported Data Formats):
- * - 示意圖節點數據：包含節點陣列的複雜數據結構
- *   - 格式：Array<{ nodes: Array, name: string, color: string }>
- *   - 用途：用於繪製複雜的示意圖網絡
- * - 標準地理數據：包含地理要素屬性的標準 JSON 格式
- *   - 格式：Array<{ name: string, id: string, [其他屬性]: any }>
- *   - 用途：用於一般的地理數據顯示
- *
- * 📊 數據處理邏輯 (Data Processing Logic):
- * 1. 格式檢測：檢查數據是否為示意圖節點格式
- * 2. 示意圖處理：如果是示意圖格式，執行節點隨機化和統計計算
- * 3. 標準處理：如果是標準格式，執行一般的地理數據處理
- * 4. 統計計算：計算數據統計信息和摘要數據
- * 5. 表格建構：生成適合表格顯示的數據結構
- *
- * 🚀 使用範例 (Usage Examples):
- * ```javascript
- * // 處理示意圖節點數據
- * const schematicData = [
- *   {
- *     name: 'Line 1',
- *     color: 'red',
- *     nodes: [
- *       { coord: { x: 0, y: 0 }, value: 0 },
- *       { coord: { x: 1, y: 0 }, value: 0 }
- *     ]
- *   }
- * ];
- * const result = await processDataLayerJson(schematicData);
- *
- * // 處理標準地理數據
- * const geoData = [
- *   { name: 'Station 1', id: 'S1', type: 'metro' },
- *   { name: 'Station 2', id: 'S2', type: 'metro' }
- * ];
- * const result = await processDataLayerJson(geoData);
- * ```
- *
- * 📈 示意圖節點數據格式 (Schematic Node Data Format):
- * ```javascript
- * [
- *   {
- *     name: string,           // 路線名稱
- *     color: string,          // 路線顏色
- *     nodes: [                // 節點陣列
- *       {
- *         coord: { x: number, y: number },  // 節點座標
- *         value: number,       // 節點數值
- *         [其他屬性]: any      // 其他節點屬性
- *       }
- *     ]
- *   }
- * ]
- * ```
- *
- * 📈 標準地理數據格式 (Standard Geo Data Format):
- * ```javascript
- * [
- *   {
- *     name: string,           // 要素名稱
- *     id: string,             // 要素 ID
- *     [其他屬性]: any         // 其他地理屬性
- *   }
- * ]
- * ```
- *
- * 📈 輸出數據結構 (Output Data Structure):
- * ```javascript
- * {
- *   jsonData: Object | null,  // 原始 JSON 數據（標準格式）或 null（示意圖格式）
- *   dashboardData: {            // 統計摘要數據
- *     totalLines?: number,    // 總路線數量（示意圖格式）
- *     totalNodes?: number,    // 總節點數量（示意圖格式）
- *     lineNames?: string[],   // 路線名稱陣列（示意圖格式）
- *     totalCount?: number,    // 總項目數量（標準格式）
- *     itemNames?: string[]    // 項目名稱陣列（標準格式）
- *   },
- *   dataTableData: Array          // 表格顯示數據
- * }
- * ```
- *
- * 🔄 數據處理流程 (Data Processing Flow):
- * 1. 檢查數據格式（示意圖節點或標準地理數據）
- * 2. 根據格式選擇適當的處理邏輯
- * 3. 執行數據預處理和格式轉換
- * 4. 計算統計摘要信息
- * 5. 生成表格顯示數據
- * 6. 返回標準化的數據結構
- *
- * ⚠️ 注意事項 (Important Notes):
- * - 示意圖節點數據會進行隨機化處理（用於測試）
- * - 標準地理數據保持原始格式不變
- * - 統計摘要會根據數據格式自動調整
- * - 表格數據會根據數據類型生成不同的結構
- *
- * @param {Object} jsonData - 需要處理的 JSON 數據
- * @param {Array} [jsonData] - 示意圖節點數據陣列
- * @param {Array} [jsonData] - 標準地理數據陣列
- * @returns {Object} - 包含處理後數據的完整結構
- *
- * @example
- * // 處理示意圖數據
- * const schematicData = [{ name: 'Line 1', nodes: [] }];
- * const result = await processDataLayerJson(schematicData);
- *
- * // 處理標準地理數據
- * const geoData = [{ name: 'Station 1', id: 'S1' }];
- * const result = await processDataLayerJson(geoData);
- *
- * @since 1.0.0
- * @see {@link randomizeNodeValues} 節點數值隨機化函數
- * @see {@link loadDataLayerJson} 數據圖層載入函數
- */
-async function processDataLayerJson(jsonData) {
-  // 檢查是否為示意圖節點格式
-  if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].nodes) {
-    // 這是示意圖節點格式，不需要處理為地圖圖層
-
-    // 為每個路線的節點隨機分配 1-5 的數值
-    const processedJsonData = jsonData.map((line) => ({
-      ...line,
-      nodes: line.nodes.map((node) => ({
-        ...node,
-        value: generateWeightedRandomValue(),
-      })),
-    }));
-
-    // 建立摘要資料
-    const dashboardData = {
-      totalLines: processedJsonData.length,
-      totalNodes: processedJsonData.reduce((sum, line) => sum + line.nodes.length, 0),
-      lineNames: processedJsonData.map((line) => line.name),
-    };
-
-    // 建立圖層資訊數據
-    const layerInfoData = {
-      totalLines: processedJsonData.length,
-      totalNodes: processedJsonData.reduce((sum, line) => sum + line.nodes.length, 0),
-      lineNames: processedJsonData.map((line) => line.name),
-    };
-
-    // 為示意圖數據建立 dataTableData，每個路線作為一個項目
-    const dataTableData = processedJsonData.map((line, index) => ({
-      '#': index + 1,
-      color: line.color,
-      name: line.name,
-      nodes: line.nodes,
-    }));
-
-    return {
-      jsonData: jsonData, // 保持原始數據不變
-      processedJsonData: processedJsonData, // 處理後的示意圖數據（包含隨機數值）
-      dashboardData,
-      dataTableData,
-      layerInfoData,
-    };
-  }
-
-  // 標準 JSON 格式處理 - 示意圖節點數據
-
-  // 建立摘要資料
-  const dashboardData = {
-    totalCount: jsonData.length,
-    itemNames: jsonData.map((item) => item.name || item.id || '未命名項目'),
-  };
-
-  // 建立圖層資訊數據
-  const layerInfoData = {
-    totalItems: jsonData.length,
-    itemNames: jsonData.map((item) => item.name || item.id || '未命名項目'),
-    hasFeatures: jsonData.some((item) => item.features),
-    hasProperties: jsonData.some((item) => item.properties),
-  };
-
-  return {
-    jsonData: jsonData, // 保持原始數據不變
-    processedJsonData: jsonData, // 標準格式數據直接使用原始數據
-    dashboardData,
-    layerInfoData,
-    dataTableData: jsonData.map((item, index) => ({
-      '#': index + 1,
-      name: item.name || item.id || '未命名項目',
-      ...item,
-    })),
-  };
-}
-
-// ==================== 🎨 繪製數據處理函數 (Draw Data Processing Functions) ====================
-
-/**
- * 🎨 網格示意圖轉繪製數據 (Process Grid to Draw Data)
- *
- * 將網格示意圖的 processedJsonData 轉換為適合 D3.js 繪製的 drawJsonData
- *
- * @param {Object} processedData - 處理後的網格數據
- * @returns {Object} 繪製用的數據結構
+ * @param {string} task - 處理任務（見 PROCESSING_TASKS）
+ * @param {Object|Array} jsonData - 載入的原始數據
+ * @param {Object} processOptions - 處理選項（seed、weights、valueSource 等）
+ * @param {Object} [loadOptions] - 載入函數收到的 options（signal、onProgress）
+ * @returns {Promise<Object>} 同 runProcessingTask
  */
-export function processGridToDrawData(processedData) {
-  if (!processedData || !processedData.nodes) {
-    console.warn('網格數據不完整，無法生成繪製數據');
-    return null;
-  }
-
-  // 計算網格尺寸
-  const gridX = processedData.gridX || 10;
-  const gridY = processedData.gridY || 10;
-
-  // 生成繪製用的節點數據
-  const drawNodes = processedData.nodes.map((node, index) => ({
-    id: `grid_${node.x}_${node.y}`,
-    x: node.x,
-    y: node.y,
-    value: node.value,
-    type: node.type || 1,
-    coord: { x: node.x, y: node.y },
-    gridIndex: index,
-    isGridNode: true,
-    // 顏色：優先使用自定義顏色，否則預設白色
-    color: node.color || '#FFFFFF',
-  }));
-
-  // 生成繪製用的連線數據（網格邊界）
-  const drawLinks = [];
-  for (let y = 0; y < gridY; y++) {
-    for (let x = 0; x < gridX; x++) {
-      const currentIndex = y * gridX + x;
-
-      // 水平連線（向右）
-      if (x < gridX - 1) {
-        const rightIndex = y * gridX + (x + 1);
-        drawLinks.push({
-          id: `link_h_${x}_${y}`,
-          source: currentIndex,
-          target: rightIndex,
-          type: 'horizontal',
-        });
-      }
-
-      // 垂直連線（向下）
-      if (y < gridY - 1) {
-        const bottomIndex = (y + 1) * gridX + x;
-        drawLinks.push({
-          id: `link_v_${x}_${y}`,
-          source: currentIndex,
-          target: bottomIndex,
-          type: 'vertical',
-        });
-      }
-    }
-  }
-
-  // 計算統計標籤數據
-  const xRowStats = [];
-  const yRowStats = [];
-
-  // 計算 X 排（垂直方向）統計
-  for (let x = 0; x < gridX; x++) {
-    const values = [];
-    for (let y = 0; y < gridY; y++) {
-      const nodeIndex = y * gridX + x;
-      if (drawNodes[nodeIndex]) {
-        values.push(drawNodes[nodeIndex].value);
-      }
-    }
-
-    if (values.length > 0) {
-      xRowStats.push({
-        row: x,
-        min: Math.min(...values),
-        max: Math.max(...values),
-        avg: values.reduce((sum, val) => sum + val, 0) / values.length,
-        count: values.length,
-      });
-    }
-  }
-
-  // 計算 Y 排（水平方向）統計
-  for (let y = 0; y < gridY; y++) {
-    const values = [];
-    for (let x = 0; x < gridX; x++) {
-      const nodeIndex = y * gridX + x;
-      if (drawNodes[nodeIndex]) {
-        values.push(drawNodes[nodeIndex].value);
-      }
-    }
-
-    if (values.length > 0) {
-      yRowStats.push({
-        row: y,
-        min: Math.min(...values),
-        max: Math.max(...values),
-        avg: values.reduce((sum, val) => sum + val, 0) / values.length,
-        count: values.length,
-      });
+function processInBackground(task, jsonData, processOptions, loadOptions = {}) {
+  return runInProcessingWorker(
+    task,
+    { jsonData, options: processOptions },
+    {
+      signal: loadOptions.signal,
+      onProgress: loadOptions.onProgress,
+      fallback: runProcessingTask,
     }
-  }
-
-  // 計算整體統計
-  const allValues = drawNodes.map((node) => node.value);
-  const overallStats = {
-    min: Math.min(...allValues),
-    max: Math.max(...allValues),
-    avg: allValues.reduce((sum, val) => sum + val, 0) / allValues.length,
-    count: allValues.length,
-  };
-
-  // 計算需要高亮的 column（基於最大值最小的 column）
-  // 步驟 1: 提取每個 column 的最大值，形成陣列 [max1, max2, max3, ...]
-  const columnMaxValues = xRowStats.map((stat) => stat.max);
-  // 步驟 2: 找出所有 column 最大值中的最小值（min of max）
-  const minColumnMax = Math.min(...columnMaxValues);
-  // 步驟 3: 找出哪些 column 的最大值等於這個最小值，並取得它們的索引
-  const highlightColumnIndices = xRowStats
-    .map((stat, index) => ({ stat, index })) // 將統計數據與索引配對
-    .filter(({ stat }) => stat.max === minColumnMax) // 篩選出最大值等於 minColumnMax 的 column
-    .map(({ index }) => index); // 只保留索引值
-
-  // 計算需要高亮的 row（基於最大值最小的 row）
-  // 步驟 1: 提取每個 row 的最大值，形成陣列 [max1, max2, max3, ...]
-  const rowMaxValues = yRowStats.map((stat) => stat.max);
-  // 步驟 2: 找出所有 row 最大值中的最小值（min of max）
-  const minRowMax = Math.min(...rowMaxValues);
-  // 步驟 3: 找出哪些 row 的最大值等於這個最小值，並取得它們的索引
-  const highlightRowIndices = yRowStats
-    .map((stat, index) => ({ stat, index })) // 將統計數據與索引配對
-    .filter(({ stat }) => stat.max === minRowMax) // 篩選出最大值等於 minRowMax 的 row
-    .map(({ index }) => index); // 只保留索引值
-
-  return {
-    type: 'grid',
-    gridX,
-    gridY,
-    nodes: drawNodes,
-    links: drawLinks,
-    totalNodes: drawNodes.length,
-    totalLinks: drawLinks.length,
-    // 統計標籤數據
-    statsLabels: {
-      xRowStats, // X 排統計數據
-      yRowStats, // Y 排統計數據
-      overallStats, // 整體統計數據
-      // 簡化的顏色配置
-      color: '#4CAF50', // 預設綠色
-      highlightColumnIndices, // 需要高亮的 column 索引（紅色）
-      highlightRowIndices, // 需要高亮的 row 索引（紅色）
-    },
-  };
-}
-
-/**
- * 🎨 台北捷運轉繪製數據 (Process Metro to Draw Data)
- *
- * 將台北捷運的 processedJsonData 轉換為適合 D3.js 繪製的 drawJsonData
- *
- * @param {Array} processedData - 處理後的捷運數據
- * @returns {Object} 繪製用的數據結構
- */
-export function processMetroToDrawData(processedData) {
-  if (!Array.isArray(processedData) || processedData.length === 0) {
-    console.warn('捷運數據不完整，無法生成繪製數據');
-    return null;
-  }
-
-  // 生成繪製用的節點數據
-  const drawNodes = [];
-  const drawLinks = [];
-
-  processedData.forEach((line, lineIndex) => {
-    if (!line.nodes || !Array.isArray(line.nodes)) return;
-
-    // 處理每個路線的節點
-    line.nodes.forEach((node, nodeIdx) => {
-      const nodeId = `metro_${lineIndex}_${nodeIdx}`;
-
-      drawNodes.push({
-        id: nodeId,
-        x: node.coord.x,
-        y: node.coord.y,
-        value: node.value,
-        type: node.type,
-        coord: { x: node.coord.x, y: node.coord.y },
-        lineName: line.name,
-        lineColor: line.color,
-        lineIndex: lineIndex,
-        nodeIndex: nodeIdx,
-        isMetroNode: true,
-      });
-
-      // 生成路線連線（相鄰節點）
-      if (nodeIdx > 0) {
-        const prevNodeId = `metro_${lineIndex}_${nodeIdx - 1}`;
-        drawLinks.push({
-          id: `metro_link_${lineIndex}_${nodeIdx - 1}`,
-          source: prevNodeId,
-          target: nodeId,
-          lineName: line.name,
-          lineColor: line.color,
-          lineIndex: lineIndex,
-          type: 'metro',
-        });
-      }
-    });
-  });
-
-  return {
-    type: 'metro',
-    lines: processedData.map((line) => ({
-      name: line.name,
-      color: line.color,
-      nodeCount: line.nodes.length,
-    })),
-    nodes: drawNodes,
-    links: drawLinks,
-    totalNodes: drawNodes.length,
-    totalLinks: drawLinks.length,
-    totalLines: processedData.length,
-  };
+  );
 }
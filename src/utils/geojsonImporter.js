@@ -0,0 +1,224 @@
+/**
+ * 🌐 GeoJSON 捷運路網匯入模組 (GeoJSON Metro Network Importer)
+ *
+ * 將 GeoJSON FeatureCollection（LineString / MultiLineString 路線 + Point 車站）
+ * 投影到可設定解析度的網格上，並吸附成只有水平/垂直移動的示意圖路線，
+ * 輸出與 taipei_schematic.json 相同的 `[{ name, color, nodes: [{ coord, type }] }]` 格式。
+ * 節點 type 使用 schematicEncoding.js 的編碼，可直接交給 drawAdministrativeSchematic 繪製。
+ *
+ * 🔄 處理流程 (Processing Flow):
+ * 1. 收集所有路線座標，計算經緯度範圍
+ * 2. 以等距圓柱投影（經度乘上中心緯度的 cos）換算平面座標
+ * 3. 依 resolution 縮放並四捨五入到整數網格
+ * 4. 將每條路線展開為單位步進的正交路徑並計算節點 type
+ * 5. 將車站 Point 吸附到最近的路線節點，標記 isStation
+ *
+ * 📈 GeoJSON 屬性對應 (Property Mapping):
+ * - 路線名稱：properties.name | properties.ref | `Line N`
+ * - 路線顏色：properties.color | properties.colour | properties.stroke | 預設色盤
+ * - 車站：properties.id | feature.id、properties.name、properties.name_en | properties.nameEn
+ * - 車站所屬路線（選填）：properties.line，有設定時只吸附到同名路線
+ *
+ * @file geojsonImporter.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { encodeLineNodeTypes, expandToUnitSteps } from './schematicEncoding.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 📏 預設網格解析度 (Default Grid Resolution)
+ *
+ * 路網範圍較長的一邊會被切成多少格。
+ *
+ * @type {number}
+ */
+export const DEFAULT_GEOJSON_RESOLUTION = 40;
+
+/**
+ * 🎨 預設路線色盤 (Default Line Palette)
+ *
+ * GeoJSON 沒有提供顏色時依序使用，名稱對應 lineColors.js 的 LINE_COLOR_MAP。
+ *
+ * @type {string[]}
+ */
+const DEFAULT_LINE_COLORS = [
+  'red',
+  'blue',
+  'green',
+  'orange',
+  'brown',
+  'purple',
+  'yellow',
+  'lightgreen',
+  'lightpink',
+  'paleturquoise',
+];
+
+// ==================== 🔧 輔助函數 (Helper Functions) ====================
+
+/**
+ * 📋 取得 GeoJSON 要素陣列 (Get Features)
+ *
+ * @param {Object} geojson - GeoJSON 物件（FeatureCollection、Feature 或 Geometry）
+ * @returns {Array<Object>} 要素陣列
+ */
+function getFeatures(geojson) {
+  if (!geojson) return [];
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  if (geojson.type && geojson.coordinates) {
+    return [{ type: 'Feature', properties: {}, geometry: geojson }];
+  }
+  return [];
+}
+
+/**
+ * 〰️ 取得要素中的所有折線 (Get Line Parts)
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<number[]>>} 折線座標陣列
+ */
+function getLineParts(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * 🗺️ 建立經緯度到網格的投影函數 (Create Grid Projection)
+ *
+ * @param {Array<number[]>} positions - 所有路線的經緯度座標
+ * @param {number} resolution - 網格解析度
+ * @returns {function(number[]): {x: number, y: number}} 投影函數
+ */
+function createGridProjection(positions, resolution) {
+  // 單次迴圈取範圍：GTFS shapes.txt 可能有數十萬個點，展開成 Math.min(...lons) 會超過參數上限
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  for (const [lon, lat] of positions) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+
+  // 等距圓柱投影：經度依中心緯度縮放，避免高緯度地區東西向被拉長
+  const lonScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = (maxLon - minLon) * lonScale;
+  const spanY = maxLat - minLat;
+  const span = Math.max(spanX, spanY) || 1;
+
+  return (position) => ({
+    x: Math.round((((position[0] - minLon) * lonScale) / span) * resolution),
+    y: Math.round(((position[1] - minLat) / span) * resolution),
+  });
+}
+
+// ==================== 🌐 主要函數 (Main Functions) ====================
+
+/**
+ * 🌐 將 GeoJSON 轉換為示意圖路線 (Convert GeoJSON to Schematic Lines)
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} [options] - 匯入選項
+ * @param {number} [options.resolution=DEFAULT_GEOJSON_RESOLUTION] - 網格解析度（較長邊的格數）
+ * @returns {Array<Object>} 示意圖路線陣列，格式與 taipei_schematic.json 相同
+ * @throws {Error} 當 GeoJSON 中沒有任何 LineString 時拋出錯誤
+ *
+ * @example
+ * const lines = importGeoJsonToSchematic(geojson, { resolution: 30 });
+ * // [{ name: 'Red Line', color: 'red', nodes: [{ coord: { x: 0, y: 3 }, type: 6 }, ...] }]
+ */
+export function importGeoJsonToSchematic(geojson, options = {}) {
+  const resolution = parseInt(options.resolution) || DEFAULT_GEOJSON_RESOLUTION;
+  const features = getFeatures(geojson);
+
+  const lineFeatures = features.filter((feature) => getLineParts(feature.geometry).length > 0);
+  const stationFeatures = features.filter(
+    (feature) => feature.geometry && feature.geometry.type === 'Point'
+  );
+
+  if (lineFeatures.length === 0) {
+    throw new Error('GeoJSON 中找不到任何 LineString 或 MultiLineString 路線');
+  }
+
+  // 以所有路線座標計算投影範圍，確保不同路線共用同一個網格
+  const allPositions = lineFeatures.flatMap((feature) =>
+    getLineParts(feature.geometry).flatMap((part) => part)
+  );
+  const project = createGridProjection(allPositions, resolution);
+
+  // 每個 LineString（MultiLineString 的每一段）成為一條示意圖路線
+  const lines = [];
+  lineFeatures.forEach((feature, featureIndex) => {
+    const properties = feature.properties || {};
+    const baseName = properties.name || properties.ref || `Line ${featureIndex + 1}`;
+    const color =
+      properties.color ||
+      properties.colour ||
+      properties.stroke ||
+      DEFAULT_LINE_COLORS[featureIndex % DEFAULT_LINE_COLORS.length];
+    const parts = getLineParts(feature.geometry);
+
+    parts.forEach((part, partIndex) => {
+      const coords = expandToUnitSteps(part.map(project));
+      if (coords.length < 2) return;
+
+      const types = encodeLineNodeTypes(coords);
+      lines.push({
+        name: parts.length > 1 ? `${baseName} (${partIndex + 1})` : baseName,
+        color,
+        nodes: coords.map((coord, index) => ({
+          value: null,
+          type: types[index],
+          coord,
+        })),
+      });
+    });
+  });
+
+  // 車站吸附到最近的節點
+  stationFeatures.forEach((feature) => {
+    const properties = feature.properties || {};
+    const point = project(feature.geometry.coordinates);
+    const candidateLines = properties.line
+      ? lines.filter(
+          (line) => line.name === properties.line || line.name.startsWith(`${properties.line} (`)
+        )
+      : lines;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    candidateLines.forEach((line) => {
+      line.nodes.forEach((node) => {
+        const distance = Math.abs(node.coord.x - point.x) + Math.abs(node.coord.y - point.y);
+        if (distance < nearestDistance) {
+          nearest = node.coord;
+          nearestDistance = distance;
+        }
+      });
+    });
+    if (!nearest) return;
+
+    // 同一座標上的所有路線節點都標記為車站（轉乘站）
+    candidateLines.forEach((line) => {
+      line.nodes
+        .filter((node) => node.coord.x === nearest.x && node.coord.y === nearest.y)
+        .forEach((node) => {
+          node.isStation = true;
+          node.id = properties.id ?? feature.id ?? node.id;
+          node.name = properties.name ?? node.name;
+          node.nameEn = properties.name_en ?? properties.nameEn ?? node.nameEn;
+        });
+    });
+  });
+
+  return lines;
+}
@@ -0,0 +1,311 @@
+/**
+ * 🚇 GTFS 靜態資料匯入模組 (GTFS Static Feed Importer)
+ *
+ * 從使用者選取的本機 GTFS zip 或資料夾讀取 routes.txt、trips.txt、stop_times.txt、
+ * stops.txt 與（選填的）shapes.txt，為每條路線的每個停靠模式（route pattern）
+ * 推導出一組有序的車站序列，並轉換為 GeoJSON FeatureCollection。
+ * 之後交給 geojsonImporter.js 吸附到網格，就能走與其他捷運圖層相同的處理流程。
+ *
+ * 🔄 處理流程 (Processing Flow):
+ * 1. 讀取 zip（JSZip）或資料夾中的 GTFS 文字檔
+ * 2. 依 trip_id 將 stop_times 分組並依 stop_sequence 排序
+ * 3. 車站以 parent_station 合併月台，連續重複的車站只保留一次
+ * 4. 相同路線、相同（或反向相同）車站序列的班次視為同一停靠模式
+ * 5. 被較長模式完整包含的區間車模式會被合併掉
+ * 6. 每個模式輸出一條 LineString（有 shapes 時使用 shape 幾何）與其車站 Point
+ *
+ * ⚠️ 注意事項 (Important Notes):
+ * - 所有檔案都在瀏覽器本機讀取，不需要網路連線
+ * - 大型 GTFS（數百萬筆 stop_times）解析需要較多時間與記憶體
+ *
+ * @file gtfsImporter.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import JSZip from 'jszip';
+import { parseCsv } from './csv.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 📋 GTFS 必要檔案 (Required GTFS Files)
+ *
+ * @type {string[]}
+ */
+export const GTFS_REQUIRED_FILES = ['routes.txt', 'trips.txt', 'stop_times.txt', 'stops.txt'];
+
+/**
+ * 📋 GTFS 選填檔案 (Optional GTFS Files)
+ *
+ * @type {string[]}
+ */
+export const GTFS_OPTIONAL_FILES = ['shapes.txt'];
+
+/**
+ * 🏷️ 各檔案需要保留的欄位 (Columns Kept per File)
+ *
+ * 只保留需要的欄位以降低大型檔案的記憶體用量。
+ *
+ * @type {Object.<string, string[]>}
+ */
+const GTFS_COLUMNS = {
+  'routes.txt': ['route_id', 'route_short_name', 'route_long_name', 'route_color', 'route_type'],
+  'trips.txt': ['trip_id', 'route_id', 'shape_id', 'direction_id'],
+  'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence'],
+  'stops.txt': ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'parent_station'],
+  'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+};
+
+// ==================== 📁 檔案讀取 (File Reading) ====================
+
+/**
+ * 📁 讀取 GTFS 檔案 (Read GTFS Files)
+ *
+ * 接受檔案選擇器回傳的 FileList：
+ * - 單一 .zip 檔：使用 JSZip 解壓（檔案可位於 zip 內的子資料夾）
+ * - 資料夾（webkitdirectory）或多選的 .txt 檔：依檔名比對
+ *
+ * @param {FileList|File[]} files - 使用者選取的檔案
+ * @returns {Promise<{sourceName: string, tables: Object.<string, Array<Object>>}>}
+ *   來源名稱與各檔案解析後的資料表（鍵為 routes、trips、stopTimes、stops、shapes）
+ * @throws {Error} 缺少必要檔案時拋出錯誤
+ */
+export async function readGtfsFiles(files) {
+  const fileList = Array.from(files || []);
+  const wantedNames = [...GTFS_REQUIRED_FILES, ...GTFS_OPTIONAL_FILES];
+  const texts = {};
+  let sourceName = 'GTFS';
+
+  const zipFile = fileList.find((file) => /\.zip$/i.test(file.name));
+  if (zipFile) {
+    sourceName = zipFile.name.replace(/\.zip$/i, '');
+    const zip = await JSZip.loadAsync(zipFile);
+    const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+
+    for (const name of wantedNames) {
+      const entry = entries.find((item) => item.name.split('/').pop() === name);
+      if (entry) {
+        texts[name] = await entry.async('string');
+      }
+    }
+  } else {
+    const firstPath = fileList[0]?.webkitRelativePath;
+    if (firstPath) {
+      sourceName = firstPath.split('/')[0];
+    }
+
+    for (const name of wantedNames) {
+      const file = fileList.find((item) => item.name === name);
+      if (file) {
+        texts[name] = await file.text();
+      }
+    }
+  }
+
+  const missing = GTFS_REQUIRED_FILES.filter((name) => !texts[name]);
+  if (missing.length > 0) {
+    throw new Error(`GTFS 缺少必要檔案: ${missing.join(', ')}`);
+  }
+
+  const parse = (name) =>
+    texts[name] ? parseCsv(texts[name], { columns: GTFS_COLUMNS[name] }) : [];
+
+  return {
+    sourceName,
+    tables: {
+      routes: parse('routes.txt'),
+      trips: parse('trips.txt'),
+      stopTimes: parse('stop_times.txt'),
+      stops: parse('stops.txt'),
+      shapes: parse('shapes.txt'),
+    },
+  };
+}
+
+// ==================== 🔧 輔助函數 (Helper Functions) ====================
+
+/**
+ * 🔍 判斷 needle 是否為 haystack 的連續子序列 (Is Contiguous Subsequence)
+ *
+ * @param {string[]} needle - 較短的序列
+ * @param {string[]} haystack - 較長的序列
+ * @returns {boolean} 是否為連續子序列
+ */
+function isContiguousSubsequence(needle, haystack) {
+  if (needle.length > haystack.length) return false;
+  for (let start = 0; start <= haystack.length - needle.length; start++) {
+    if (needle.every((item, offset) => haystack[start + offset] === item)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 🗺️ 依 shape_id 建立 shape 座標表 (Build Shape Lookup)
+ *
+ * @param {Array<Object>} shapes - shapes.txt 資料
+ * @returns {Map<string, number[][]>} shape_id → [lon, lat] 座標陣列
+ */
+function buildShapeLookup(shapes) {
+  const grouped = new Map();
+  shapes.forEach((point) => {
+    if (!grouped.has(point.shape_id)) grouped.set(point.shape_id, []);
+    grouped.get(point.shape_id).push(point);
+  });
+
+  const lookup = new Map();
+  grouped.forEach((points, shapeId) => {
+    points.sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence));
+    lookup.set(
+      shapeId,
+      points.map((point) => [Number(point.shape_pt_lon), Number(point.shape_pt_lat)])
+    );
+  });
+  return lookup;
+}
+
+// ==================== 🚇 主要函數 (Main Functions) ====================
+
+/**
+ * 🚇 從 GTFS 資料表推導路線停靠模式 (Derive Route Patterns)
+ *
+ * @param {Object} tables - readGtfsFiles 回傳的資料表
+ * @returns {Array<Object>} 停靠模式陣列：{ routeId, stationIds, shapeId, tripCount }
+ */
+export function deriveRoutePatterns(tables) {
+  const stopsById = new Map(tables.stops.map((stop) => [stop.stop_id, stop]));
+  const tripsById = new Map(tables.trips.map((trip) => [trip.trip_id, trip]));
+
+  // 月台合併到所屬車站（parent_station）
+  const toStationId = (stopId) => {
+    const stop = stopsById.get(stopId);
+    return stop && stop.parent_station && stopsById.has(stop.parent_station)
+      ? stop.parent_station
+      : stopId;
+  };
+
+  // 依班次分組 stop_times
+  const stopTimesByTrip = new Map();
+  tables.stopTimes.forEach((stopTime) => {
+    if (!stopTimesByTrip.has(stopTime.trip_id)) stopTimesByTrip.set(stopTime.trip_id, []);
+    stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+  });
+
+  // 相同（或反向相同）車站序列的班次合併為同一模式
+  const patternsByKey = new Map();
+  stopTimesByTrip.forEach((stopTimes, tripId) => {
+    const trip = tripsById.get(tripId);
+    if (!trip) return;
+
+    stopTimes.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+    const stationIds = [];
+    stopTimes.forEach((stopTime) => {
+      const stationId = toStationId(stopTime.stop_id);
+      if (stationIds[stationIds.length - 1] !== stationId) stationIds.push(stationId);
+    });
+    if (stationIds.length < 2) return;
+
+    const key = `${trip.route_id}|${stationIds.join('>')}`;
+    const reverseKey = `${trip.route_id}|${[...stationIds].reverse().join('>')}`;
+    const existing = patternsByKey.get(key) || patternsByKey.get(reverseKey);
+
+    if (existing) {
+      existing.tripCount++;
+      if (!existing.shapeId && trip.shape_id) existing.shapeId = trip.shape_id;
+    } else {
+      patternsByKey.set(key, {
+        routeId: trip.route_id,
+        stationIds,
+        shapeId: trip.shape_id || null,
+        tripCount: 1,
+      });
+    }
+  });
+
+  // 移除被同路線較長模式包含的區間車模式
+  const patterns = Array.from(patternsByKey.values());
+  return patterns.filter(
+    (pattern) =>
+      !patterns.some(
+        (other) =>
+          other !== pattern &&
+          other.routeId === pattern.routeId &&
+          other.stationIds.length > pattern.stationIds.length &&
+          (isContiguousSubsequence(pattern.stationIds, other.stationIds) ||
+            isContiguousSubsequence([...pattern.stationIds].reverse(), other.stationIds))
+      )
+  );
+}
+
+/**
+ * 🌐 將 GTFS 資料表轉換為 GeoJSON (Convert GTFS Tables to GeoJSON)
+ *
+ * 每個停靠模式輸出一條 LineString（properties: name, color, routeId）
+ * 與其所有車站的 Point（properties: id, name, line）。
+ * route_color 會轉換為 `#RRGGBB` 作為路線顏色。
+ *
+ * @param {Object} tables - readGtfsFiles 回傳的資料表
+ * @returns {Object} GeoJSON FeatureCollection，可直接交給 importGeoJsonToSchematic
+ * @throws {Error} 無法推導出任何停靠模式時拋出錯誤
+ */
+export function buildGtfsGeoJson(tables) {
+  const patterns = deriveRoutePatterns(tables);
+  if (patterns.length === 0) {
+    throw new Error('GTFS 中找不到任何有效的路線停靠模式');
+  }
+
+  const stopsById = new Map(tables.stops.map((stop) => [stop.stop_id, stop]));
+  const shapeLookup = buildShapeLookup(tables.shapes);
+  const features = [];
+
+  tables.routes.forEach((route) => {
+    const routePatterns = patterns
+      .filter((pattern) => pattern.routeId === route.route_id)
+      .sort((a, b) => b.tripCount - a.tripCount);
+    const routeName = route.route_short_name || route.route_long_name || route.route_id;
+
+    routePatterns.forEach((pattern, index) => {
+      const lineName = routePatterns.length > 1 ? `${routeName} (${index + 1})` : routeName;
+      const stations = pattern.stationIds
+        .map((stationId) => stopsById.get(stationId))
+        .filter((stop) => stop && stop.stop_lat !== '' && stop.stop_lon !== '');
+      const stationPositions = stations.map((stop) => [
+        Number(stop.stop_lon),
+        Number(stop.stop_lat),
+      ]);
+      const shapePositions = pattern.shapeId ? shapeLookup.get(pattern.shapeId) : null;
+
+      features.push({
+        type: 'Feature',
+        properties: {
+          name: lineName,
+          color: route.route_color ? `#${route.route_color.replace(/^#/, '')}` : undefined,
+          routeId: route.route_id,
+          tripCount: pattern.tripCount,
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates:
+            shapePositions && shapePositions.length > 1 ? shapePositions : stationPositions,
+        },
+      });
+
+      stations.forEach((stop, stopIndex) => {
+        features.push({
+          type: 'Feature',
+          properties: {
+            id: stop.stop_id,
+            name: stop.stop_name,
+            line: lineName,
+          },
+          geometry: { type: 'Point', coordinates: stationPositions[stopIndex] },
+        });
+      });
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,286 @@
+/**
+ * 💾 圖層快取模組 (Layer Cache Module)
+ *
+ * 把載入並處理完成的圖層結果（jsonData、processedJsonData、drawJsonData 與摘要數據）
+ * 存進 IndexedDB，下次開啟相同圖層時直接使用，省去重新下載與處理。
+ *
+ * 🔑 快取鍵 (Cache Key):
+ * `檔名 | 檔案版本 | 處理版本 | 種子 | 處理選項`
+ * - 檔案版本：伺服器回傳的 ETag；伺服器沒有提供 ETag 時不使用快取
+ * - 處理版本：layerProcessing.js 的 PROCESSOR_VERSION
+ * - 種子：resolveLayerSeed 解析後的種子（包含網址 ?seed= 覆寫）
+ * - 處理選項：valueSource、valueWeights、nodeTypeMode 等會影響輸出的圖層設定
+ * 任何一項改變都會產生新的鍵；每個圖層只保留最新的一筆快取。
+ *
+ * ⚠️ 錯誤處理 (Error Handling):
+ * 快取只是加速用途：瀏覽器不支援 IndexedDB、儲存空間不足或讀寫失敗時
+ * 只記錄警告並回傳 null，圖層照常載入。
+ *
+ * @file layerCache.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { isAbortError, loadDataFile } from './dataProcessor.js';
+import { PROCESSOR_VERSION, VALUE_SOURCES } from './layerProcessing.js';
+import { resolveLayerSeed } from './random.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 🗄️ IndexedDB 設定 (IndexedDB Configuration)
+ *
+ * ENTRY_STORE 存放完整的載入結果；META_STORE 只存放大小與時間等資訊，
+ * 列出快取時不需要讀出大型數據。
+ *
+ * @type {Object}
+ * @property {string} DB_NAME - 資料庫名稱
+ * @property {number} DB_VERSION - 資料庫結構版本
+ * @property {string} ENTRY_STORE - 載入結果的 object store
+ * @property {string} META_STORE - 快取資訊的 object store（以 layerId 建立索引）
+ */
+export const CACHE_CONFIG = {
+  DB_NAME: 'schematic-map-rwd-cache',
+  DB_VERSION: 1,
+  ENTRY_STORE: 'entries',
+  META_STORE: 'meta',
+};
+
+/**
+ * 📋 快取的載入結果欄位 (Cached Result Fields)
+ *
+ * @type {string[]}
+ */
+const CACHED_FIELDS = [
+  'jsonData',
+  'processedJsonData',
+  'drawJsonData',
+  'dashboardData',
+  'dataTableData',
+  'layerInfoData',
+];
+
+// ==================== 🗄️ IndexedDB 存取 (IndexedDB Access) ====================
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/**
+ * 🗄️ 開啟快取資料庫 (Open Cache Database)
+ *
+ * @returns {Promise<IDBDatabase|null>} 資料庫；不支援或無法開啟時為 null
+ */
+function openCacheDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_CONFIG.DB_NAME, CACHE_CONFIG.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(CACHE_CONFIG.ENTRY_STORE, { keyPath: 'key' });
+        const metaStore = db.createObjectStore(CACHE_CONFIG.META_STORE, { keyPath: 'key' });
+        metaStore.createIndex('layerId', 'layerId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('⚠️ 無法開啟圖層快取，將不使用快取:', error?.message);
+      dbPromise = null;
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * 🔁 執行交易 (Run Transaction)
+ *
+ * @param {string} mode - 'readonly' 或 'readwrite'
+ * @param {Function} operation - `(stores) => IDBRequest|undefined`，stores 為 { entries, meta }
+ * @returns {Promise<*>} operation 回傳的請求結果（沒有回傳請求時為 true）；資料庫無法使用時為 null
+ */
+async function runTransaction(mode, operation) {
+  const db = await openCacheDb();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CACHE_CONFIG.ENTRY_STORE, CACHE_CONFIG.META_STORE], mode);
+    const request = operation({
+      entries: transaction.objectStore(CACHE_CONFIG.ENTRY_STORE),
+      meta: transaction.objectStore(CACHE_CONFIG.META_STORE),
+    });
+    transaction.oncomplete = () => resolve(request ? request.result : true);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// ==================== 🔑 快取鍵 (Cache Key) ====================
+
+/**
+ * 🏷️ 取得檔案版本 (Get File Validator)
+ *
+ * 以 HEAD 取得 ETag。伺服器沒有提供時不另外下載檔案計算雜湊：快取未命中時
+ * 載入函數還會再下載一次，冷啟動反而更慢，因此直接不使用快取。
+ *
+ * @param {string} fileName - 相對於數據目錄的檔案路徑
+ * @param {AbortSignal} [signal] - 取消訊號
+ * @returns {Promise<string|null>} ETag；伺服器沒有提供時為 null
+ */
+async function getFileValidator(fileName, signal) {
+  const headResponse = await loadDataFile(fileName, { signal, method: 'HEAD', retries: 0 });
+  return headResponse.headers?.get('ETag') || null;
+}
+
+/**
+ * 🔑 建立圖層快取鍵 (Build Layer Cache Key)
+ *
+ * 只有從數據目錄載入的圖層（有 jsonFileName、非使用者匯入）會使用快取。
+ *
+ * @param {Object} layer - 圖層對象
+ * @param {Object} [options] - 選項
+ * @param {AbortSignal} [options.signal] - 取消訊號
+ * @returns {Promise<string|null>} 快取鍵；不使用快取或伺服器沒有提供 ETag 時為 null
+ */
+export async function buildLayerCacheKey(layer, options = {}) {
+  if (!layer?.jsonFileName || layer.isUserLayer) return null;
+
+  try {
+    const fileNames = [layer.jsonFileName];
+    if (layer.valueSource === VALUE_SOURCES.EXTERNAL && layer.valueFileName) {
+      fileNames.push(layer.valueFileName);
+    }
+
+    const validators = [];
+    for (const fileName of fileNames) {
+      const validator = await getFileValidator(fileName, options.signal);
+      if (!validator) return null;
+      validators.push(validator);
+    }
+
+    // 會影響處理結果的圖層設定
+    const processingOptions = JSON.stringify({
+      valueSource: layer.valueSource ?? null,
+      valueFileName: layer.valueFileName ?? null,
+      valueWeights: layer.valueWeights ?? null,
+      nodeTypeMode: layer.nodeTypeMode ?? null,
+      missingCellPolicy: layer.missingCellPolicy ?? null,
+      gridResolution: layer.gridResolution ?? null,
+    });
+
+    return [
+      layer.jsonFileName,
+      validators.join('+'),
+      `v${PROCESSOR_VERSION}`,
+      `seed:${resolveLayerSeed(layer)}`,
+      processingOptions,
+    ].join('|');
+  } catch (error) {
+    // 檔案無法取得時交給載入函數回報實際錯誤
+    if (!isAbortError(error)) console.warn('⚠️ 無法建立圖層快取鍵:', error.message);
+    return null;
+  }
+}
+
+// ==================== 💾 讀寫快取 (Cache Read / Write) ====================
+
+/**
+ * 📖 讀取圖層快取 (Read Layer Cache)
+ *
+ * @param {string} key - buildLayerCacheKey 產生的快取鍵
+ * @returns {Promise<{ result: Object, info: Object }|null>} 載入結果與快取資訊；沒有快取時為 null
+ */
+export async function readLayerCache(key) {
+  try {
+    let entryRequest;
+    let metaRequest;
+    await runTransaction('readonly', ({ entries, meta }) => {
+      entryRequest = entries.get(key);
+      metaRequest = meta.get(key);
+    });
+
+    if (!entryRequest?.result || !metaRequest?.result) return null;
+    return { result: entryRequest.result.result, info: metaRequest.result };
+  } catch (error) {
+    console.warn('⚠️ 讀取圖層快取失敗:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * 💾 寫入圖層快取 (Write Layer Cache)
+ *
+ * 同一個圖層的舊快取會一併刪除。快取大小使用處理 Worker 算好的 result.resultSize
+ * （處理完成時的結果大小，載入函數之後替換的原始數據不計入）；
+ * 在主執行緒處理的結果沒有此值，大小記為 null，不為了顯示大小而序列化整份結果。
+ *
+ * @param {string} key - buildLayerCacheKey 產生的快取鍵
+ * @param {Object} layer - 圖層對象（取 layerId、layerName、jsonFileName）
+ * @param {Object} result - 載入結果（需為可結構化複製的原始物件，不可為響應式代理）
+ * @returns {Promise<Object|null>} 快取資訊 { key, layerId, layerName, fileName, size, createdAt }；失敗時為 null
+ */
+export async function writeLayerCache(key, layer, result) {
+  try {
+    const cachedResult = Object.fromEntries(CACHED_FIELDS.map((field) => [field, result[field]]));
+    const info = {
+      key,
+      layerId: layer.layerId,
+      layerName: layer.layerName,
+      fileName: layer.jsonFileName,
+      size: Number.isFinite(result.resultSize) ? result.resultSize : null,
+      createdAt: Date.now(),
+    };
+
+    const written = await runTransaction('readwrite', ({ entries, meta }) => {
+      const staleKeysRequest = meta.index('layerId').getAllKeys(layer.layerId);
+      staleKeysRequest.onsuccess = () => {
+        staleKeysRequest.result.forEach((staleKey) => {
+          entries.delete(staleKey);
+          meta.delete(staleKey);
+        });
+        entries.put({ key, result: cachedResult });
+        meta.put(info);
+      };
+      return staleKeysRequest;
+    });
+
+    return written === null ? null : info;
+  } catch (error) {
+    console.warn('⚠️ 寫入圖層快取失敗:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * 📋 列出所有快取 (List Cache Entries)
+ *
+ * @returns {Promise<Array<Object>>} 快取資訊陣列（不含載入結果）
+ */
+export async function getLayerCacheEntries() {
+  try {
+    return (await runTransaction('readonly', ({ meta }) => meta.getAll())) || [];
+  } catch (error) {
+    console.warn('⚠️ 讀取圖層快取清單失敗:', error?.message);
+    return [];
+  }
+}
+
+/**
+ * 🗑️ 清除所有快取 (Clear Layer Cache)
+ *
+ * @returns {Promise<boolean>} 是否成功清除
+ */
+export async function clearLayerCache() {
+  try {
+    const cleared = await runTransaction('readwrite', ({ entries, meta }) => {
+      entries.clear();
+      meta.clear();
+    });
+    return cleared !== null;
+  } catch (error) {
+    console.warn('⚠️ 清除圖層快取失敗:', error?.message);
+    return false;
+  }
+}
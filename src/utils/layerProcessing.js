@@ -0,0 +1,1252 @@
+/**
+ * 🧮 圖層數據處理 (Layer Data Processing)
+ *
+ * 圖層載入後的純數據處理：processGridSchematicJson / processDataLayerJson 產生處理後數據、
+ * 統計與表格數據，processGridToDrawData / processMetroToDrawData 產生繪製數據，
+ * runProcessingTask 依任務串接兩者。
+ *
+ * 本模組在處理 Worker（processingWorker.js）中執行，也是主執行緒的備援處理，
+ * 因此只依賴純函數模組，不可引入 dataProcessor.js、processingClient.js 或檔案匯入工具，
+ * 否則 Worker 打包時會形成循環依賴。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const result = await runProcessingTask(
+ *   PROCESSING_TASKS.GRID,
+ *   { jsonData: { x: 5, y: 5 }, options: { seed: 42 } },
+ *   (progress, message) => {}
+ * );
+ * console.log(result.processedJsonData, result.drawJsonData);
+ * ```
+ *
+ * @file layerProcessing.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+/**
+ * 可重現隨機數工具引入
+ * 提供種子隨機數產生器與權重隨機值函數
+ */
+import { DEFAULT_SEED, createSeededRandom, generateWeightedRandomValue } from './random.js';
+
+/**
+ * 捷運示意圖驗證工具引入
+ * 檢查節點相鄰、type 編碼、座標與顏色，產生診斷清單
+ */
+import { validateSchematicLines } from './schematicValidator.js';
+
+/**
+ * 示意圖節點類型編碼工具引入
+ * 從節點座標序列推算 type（直線、端點、轉角），以及相鄰節點之間的行進方向
+ */
+import { encodeLineNodeTypes, getStepDirection } from './schematicEncoding.js';
+
+/**
+ * 共線路段偏移工具引入
+ * 找出多條路線共用的網格邊，計算並排繪製的左右順序與偏移量
+ */
+import { bundleLineEdges } from './lineBundling.js';
+
+/**
+ * 處理任務名稱引入
+ * runProcessingTask 依任務選擇處理與繪製函數
+ */
+import { PROCESSING_TASKS } from './processingProtocol.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 🏷️ 數據處理版本 (Processor Version)
+ *
+ * 圖層快取鍵的一部分（見 layerCache.js）。修改處理或繪製數據函數而使輸出改變時
+ * 需要遞增，讓舊的快取失效。
+ *
+ * @type {number}
+ * @since 3.1.0
+ */
+export const PROCESSOR_VERSION = 4;
+
+/**
+ * 🔢 節點數值來源模式 (Node Value Source Modes)
+ *
+ * 決定示意圖節點的 value 從哪裡來：
+ * - FILE: 保留 JSON 檔案中的原始數值（例如實際運量、容量）
+ * - RANDOM: 使用種子隨機數依權重表生成（測試用，舊版預設行為）
+ * - EXTERNAL: 從另一個數值檔案依座標合併（join）進來
+ *
+ * @type {Object}
+ * @property {string} FILE - 使用檔案內數值
+ * @property {string} RANDOM - 使用隨機數值
+ * @property {string} EXTERNAL - 使用外部檔案數值
+ * @since 3.1.0
+ */
+export const VALUE_SOURCES = {
+  FILE: 'file',
+  RANDOM: 'random',
+  EXTERNAL: 'external',
+};
+
+/**
+ * 🧭 節點類型模式 (Node Type Modes)
+ *
+ * 決定示意圖節點的 type 如何取得（編碼規則見 schematicEncoding.js）：
+ * - REPORT: 保留檔案中的 type，與座標推算結果不一致的節點列入診斷清單
+ * - OVERRIDE: 一律以座標推算的 type 取代檔案中的 type
+ *
+ * 兩種模式下，檔案中沒有 type 的節點都會以推算結果補上，
+ * 因此圖層可以只提供依序排列的座標。推算失敗（不相鄰或折返）時保留原本的 type。
+ *
+ * @type {Object}
+ * @property {string} REPORT - 保留檔案 type 並回報不一致
+ * @property {string} OVERRIDE - 以推算 type 取代
+ * @since 3.1.0
+ */
+export const NODE_TYPE_MODES = {
+  REPORT: 'report',
+  OVERRIDE: 'override',
+};
+
+/**
+ * 🕳️ 網格缺值處理規則 (Missing Grid Cell Policies)
+ *
+ * 網格數值來自 CSV 或二維矩陣時，來源中沒有提供（或為空白）的格子依此規則處理：
+ * - EMPTY: 標記為空格（value 為 null、isEmpty 為 true），不參與統計也不顯示數字
+ * - ZERO: 填入 0
+ * - MEAN: 填入所有已量測格子的平均值（四捨五入到小數點後兩位）
+ * - RANDOM: 使用種子隨機數依權重表填入
+ *
+ * 以 ZERO / MEAN / RANDOM 填入的格子會標記 isFilled 為 true。
+ *
+ * @type {Object}
+ * @property {string} EMPTY - 標記為空格
+ * @property {string} ZERO - 填入 0
+ * @property {string} MEAN - 填入平均值
+ * @property {string} RANDOM - 填入隨機數值
+ * @since 3.1.0
+ */
+export const MISSING_CELL_POLICIES = {
+  EMPTY: 'empty',
+  ZERO: 'zero',
+  MEAN: 'mean',
+  RANDOM: 'random',
+};
+
+// ==================== 🔧 輔助函數 (Helper Functions) ====================
+
+/**
+ * 🔗 建立外部數值查找表 (Build External Value Lookup)
+ *
+ * 將外部數值檔案轉換為以座標為鍵的 Map，供 applyNodeValues 合併使用。
+ * 支援兩種格式：
+ * - 陣列：`[{ line?: string, x: number, y: number, value: number }]`
+ *   有 line 時只套用到同名路線，沒有 line 時套用到該座標上的所有路線
+ * - 物件：`{ "x,y": value }`
+ *
+ * @param {Array|Object} externalData - 外部數值檔案內容
+ * @returns {Map<string, number>} 鍵為 `line|x,y` 或 `x,y` 的數值查找表
+ */
+function buildExternalValueLookup(externalData) {
+  const lookup = new Map();
+  if (!externalData) return lookup;
+
+  if (Array.isArray(externalData)) {
+    externalData.forEach((record) => {
+      if (!record || record.x === undefined || record.y === undefined) return;
+      const coordKey = `${record.x},${record.y}`;
+      lookup.set(record.line ? `${record.line}|${coordKey}` : coordKey, record.value);
+    });
+    return lookup;
+  }
+
+  Object.entries(externalData).forEach(([coordKey, value]) => {
+    lookup.set(coordKey.replace(/\s/g, ''), value);
+  });
+  return lookup;
+}
+
+/**
+ * 🔢 套用節點數值來源 (Apply Node Value Source)
+ *
+ * 依照 valueSource 模式決定每個示意圖節點的 value，回傳新的路線陣列（不修改原始數據）。
+ * file / external 模式下找不到數值的節點 value 為 null，繪製時不顯示數字。
+ *
+ * @param {Array} lines - 示意圖路線陣列
+ * @param {Object} options - 處理選項
+ * @param {string} [options.valueSource='random'] - 數值來源模式
+ * @param {Function} [options.rng] - 隨機數產生函數（random 模式使用）
+ * @param {number[]} [options.weights] - 數值權重表（random 模式使用）
+ * @param {Array|Object} [options.externalValues] - 外部數值檔案內容（external 模式使用）
+ * @returns {{ lines: Array, matchedCount: number }} 處理後路線與成功取得數值的節點數
+ */
+function applyNodeValues(lines, options = {}) {
+  const valueSource = options.valueSource || VALUE_SOURCES.RANDOM;
+  const lookup =
+    valueSource === VALUE_SOURCES.EXTERNAL
+      ? buildExternalValueLookup(options.externalValues)
+      : null;
+  let matchedCount = 0;
+
+  const resolveValue = (line, node) => {
+    if (valueSource === VALUE_SOURCES.RANDOM) {
+      return generateWeightedRandomValue(options.rng, options.weights);
+    }
+
+    let value;
+    if (valueSource === VALUE_SOURCES.EXTERNAL) {
+      const coordKey = `${node.coord?.x},${node.coord?.y}`;
+      const lineKey = `${line.name}|${coordKey}`;
+      value = lookup.has(lineKey) ? lookup.get(lineKey) : lookup.get(coordKey);
+    } else {
+      value = node.value;
+    }
+
+    return value === undefined || value === null || value === '' ? null : value;
+  };
+
+  const processedLines = lines.map((line) => ({
+    ...line,
+    nodes: line.nodes.map((node) => {
+      const value = resolveValue(line, node);
+      if (value !== null) matchedCount++;
+      return { ...node, value };
+    }),
+  }));
+
+  return { lines: processedLines, matchedCount };
+}
+
+/**
+ * 🧭 套用節點類型 (Apply Node Types)
+ *
+ * 依 nodeTypeMode 以 encodeLineNodeTypes 推算的結果補上或取代節點 type，
+ * 回傳新的路線陣列（不修改原始數據）。
+ *
+ * @param {Array} lines - 示意圖路線陣列
+ * @param {string} [mode='report'] - 節點類型模式（見 NODE_TYPE_MODES）
+ * @returns {{ lines: Array, inferredCount: number }} 處理後路線與 type 由推算取得的節點數
+ */
+function applyNodeTypes(lines, mode = NODE_TYPE_MODES.REPORT) {
+  let inferredCount = 0;
+
+  const processedLines = lines.map((line) => {
+    if (!Array.isArray(line.nodes)) return line;
+
+    const inferredTypes = encodeLineNodeTypes(line.nodes.map((node) => node.coord || {}));
+
+    return {
+      ...line,
+      nodes: line.nodes.map((node, index) => {
+        const inferred = inferredTypes[index];
+        const hasType = node.type !== undefined && node.type !== null && node.type !== '';
+        if (inferred === null || (hasType && mode !== NODE_TYPE_MODES.OVERRIDE)) {
+          return node;
+        }
+
+        if (node.type !== inferred) inferredCount++;
+        return { ...node, type: inferred };
+      }),
+    };
+  });
+
+  return { lines: processedLines, inferredCount };
+}
+
+/**
+ * 🚉 判斷節點是否為車站 (Is Station Node)
+ *
+ * 節點有 isStation 時以其為準；沒有設定時，有 name 的節點視為車站。
+ *
+ * @param {Object} node - 示意圖節點
+ * @returns {boolean} 是否為車站
+ * @since 3.1.0
+ */
+export function isStationNode(node) {
+  if (!node) return false;
+  if (node.isStation !== undefined && node.isStation !== null) return !!node.isStation;
+  return typeof node.name === 'string' && node.name.trim() !== '';
+}
+
+/**
+ * 📊 計算數值統計 (Compute Value Statistics)
+ *
+ * 忽略 null / undefined（空格），全部為空時 min、max、avg 為 null。
+ *
+ * @param {Array<number|null>} values - 數值陣列
+ * @returns {{ min: number|null, max: number|null, sum: number, count: number, avg: number|null }}
+ *   統計結果，count 為有效數值的個數
+ */
+export function computeValueStats(values) {
+  // 單次迴圈計算，避免大型網格展開成 Math.min(...values) 超過參數上限
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+    count++;
+  }
+
+  if (count === 0) {
+    return { min: null, max: null, sum: 0, count: 0, avg: null };
+  }
+  return { min, max, sum, count, avg: sum / count };
+}
+
+/**
+ * 🔢 解析網格格子數值 (Parse Grid Cell Value)
+ *
+ * @param {*} rawValue - 原始數值（CSV 字串或 JSON 數值）
+ * @returns {number|null} 數值；空白或無法解析時回傳 null
+ */
+function parseCellValue(rawValue) {
+  if (rawValue === undefined || rawValue === null) return null;
+  if (typeof rawValue === 'string' && rawValue.trim() === '') return null;
+  const value = Number(rawValue);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 🧩 正規化網格數值來源 (Normalize Grid Value Source)
+ *
+ * 支援以下格式：
+ * - 尺寸設定：`{ x, y }`，沒有任何格子數值（全部隨機生成）
+ * - 二維矩陣：`[[...], [...]]` 或 `{ values: [[...]], x?, y? }`，`matrix[y][x]`，第一列為 y = 0
+ * - CSV 紀錄：`[{ x, y, value, type? }]`
+ *
+ * 網格尺寸優先使用明確指定的 x / y，否則由資料中最大的座標推算。
+ *
+ * @param {Object|Array} jsonData - 網格來源數據
+ * @returns {{ gridX: number, gridY: number, cells: Map<string, {value: number|null, type: number}>|null }}
+ *   網格尺寸與格子數值表（鍵為 `x,y`）；沒有格子數值時 cells 為 null
+ * @throws {Error} 當格子座標不是非負整數時拋出錯誤
+ */
+function normalizeGridSource(jsonData) {
+  const matrix =
+    Array.isArray(jsonData) && Array.isArray(jsonData[0]) ? jsonData : jsonData?.values;
+  const records = Array.isArray(jsonData) && !Array.isArray(jsonData[0]) ? jsonData : null;
+
+  if (!Array.isArray(matrix) && !records) {
+    return {
+      gridX: parseInt(jsonData?.x) || 10,
+      gridY: parseInt(jsonData?.y) || 10,
+      cells: null,
+    };
+  }
+
+  const cells = new Map();
+  let maxX = -1;
+  let maxY = -1;
+  const setCell = (x, y, rawValue, rawType) => {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
+      throw new Error(`網格格子座標無效: (${x}, ${y})`);
+    }
+    cells.set(`${x},${y}`, { value: parseCellValue(rawValue), type: parseInt(rawType) || 1 });
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  };
+
+  if (records) {
+    records.forEach((record) =>
+      setCell(Number(record.x), Number(record.y), record.value, record.type)
+    );
+  } else {
+    matrix.forEach((row, y) => (row || []).forEach((rawValue, x) => setCell(x, y, rawValue)));
+  }
+
+  return {
+    gridX: parseInt(jsonData?.x) || maxX + 1 || 10,
+    gridY: parseInt(jsonData?.y) || maxY + 1 || 10,
+    cells,
+  };
+}
+
+// ==================== 📊 數據處理函數 (Data Processing Functions) ====================
+
+/**
+ * 📊 處理網格示意圖 JSON 數據 (Process Grid Schematic JSON Data)
+ *
+ * 這是一個專門用於處理網格示意圖 JSON 數據的核心函數，負責將原始的網格配置
+ * 參數轉換為適合 D3.js 視覺化組件使用的標準化數據格式。該函數是網格示意圖
+ * 數據處理流程的關鍵環節，確保數據的完整性和一致性。
+ *
+ * 🎯 主要功能 (Main Features):
+ * - 網格參數解析：從 JSON 數據中提取 x, y 網格尺寸參數，或由量測數值推算
+ * - 量測數值：支援 CSV 紀錄（x,y,value[,type]）與二維矩陣作為格子數值
+ * - 缺值處理：依 missingCellPolicy 標記空格或填入 0 / 平均值 / 隨機值
+ * - 動態網格生成：根據尺寸參數動態生成網格節點陣列
+ * - 節點屬性設定：為每個節點設定座標、數值、類型等屬性
+ * - 統計摘要計算：計算網格統計信息和摘要數據
+ * - 表格數據建構：生成適合表格組件顯示的數據結構
+ *
+ * 🔧 技術實現 (Technical Implementation):
+ * - 雙重迴圈生成：使用嵌套迴圈生成二維網格節點
+ * - 隨機數值分配：使用種子隨機數產生器依權重表為每個節點分配數值
+ * - 座標計算：根據網格位置計算節點的 x, y 座標
+ * - 數據結構標準化：生成符合視覺化要求的標準數據格式
+ *
+ * 📊 網格生成邏輯 (Grid Generation Logic):
+ * - 外層迴圈：遍歷 Y 方向（行）
+ * - 內層迴圈：遍歷 X 方向（列）
+ * - 節點座標：直接使用迴圈索引作為座標
+ * - 節點數值：有量測數值時直接使用，否則使用 createSeededRandom(seed) 依權重表生成 0-9 的隨機數
+ * - 節點類型：預設為 1（可擴展支援多種類型）
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * // 處理網格配置數據
+ * const jsonData = { x: 5, y: 5 };
+ * const result = await processGridSchematicJson(jsonData);
+ *
+ * console.log('網格節點數量:', result.jsonData.nodes.length);
+ * console.log('網格尺寸:', result.dashboardData.gridSize);
+ * console.log('表格數據:', result.dataTableData);
+ * ```
+ *
+ * 📈 輸入數據格式 (Input Data Format):
+ * ```javascript
+ * {
+ *   "x": 10,        // 網格 X 方向節點數量
+ *   "y": 10         // 網格 Y 方向節點數量
+ * }
+ *
+ * // 二維矩陣：matrix[y][x]，第一列為 y = 0；也可寫成 { values: [[...]], x?, y? }
+ * [[3, 5, null], [2, 8, 1]]
+ *
+ * // CSV 紀錄（parseCsv 的輸出）
+ * [{ x: '0', y: '0', value: '3', type: '1' }, { x: '1', y: '0', value: '' }]
+ * ```
+ *
+ * 📈 輸出數據結構 (Output Data Structure):
+ * ```javascript
+ * {
+ *   jsonData: {
+ *     gridX: number,        // 網格 X 方向節點數量
+ *     gridY: number,        // 網格 Y 方向節點數量
+ *     nodes: [              // 網格節點陣列
+ *       {
+ *         x: number,        // 節點 X 座標
+ *         y: number,        // 節點 Y 座標
+ *         value: number|null, // 節點數值（空格為 null）
+ *         type: number,     // 節點類型
+ *         isEmpty?: boolean,  // 缺值且未填補
+ *         isFilled?: boolean, // 缺值並依規則填補
+ *         coord: { x: number, y: number }  // 節點座標對象
+ *       }
+ *     ],
+ *     type: 'grid'          // 數據類型標識
+ *   },
+ *   dashboardData: {
+ *     totalNodes: number,   // 總節點數量
+ *     gridSize: string,     // 網格尺寸描述
+ *     gridX: number,        // X 方向節點數量
+ *     gridY: number,        // Y 方向節點數量
+ *     nodeCount: number     // 節點總數
+ *   },
+ *   dataTableData: [            // 表格顯示數據
+ *     {
+ *       '#': number,        // 行號
+ *       name: string,       // 網格名稱
+ *       gridSize: string,   // 網格尺寸描述
+ *       totalNodes: number, // 總節點數量
+ *       nodes: Array        // 節點陣列
+ *     }
+ *   ],
+ * }
+ * ```
+ *
+ * 🔄 數據處理流程 (Data Processing Flow):
+ * 1. 解析網格尺寸參數（x, y）
+ * 2. 設定預設值（如果參數無效）
+ * 3. 使用雙重迴圈生成網格節點
+ * 4. 為每個節點設定座標和屬性
+ * 5. 計算統計摘要信息
+ * 6. 生成表格顯示數據
+ * 7. 返回標準化的數據結構
+ *
+ * ⚠️ 注意事項 (Important Notes):
+ * - 網格尺寸參數會自動設定預設值（10x10）
+ * - 沒有量測數值時節點數值是隨機生成的，但相同 seed 與權重表一定得到相同結果
+ * - 空格不參與統計；整排皆為空格時該排的 min、max、avg 為 null
+ * - 大型網格可能需要較長的生成時間
+ * - 生成的節點陣列是扁平化的，不保持二維結構
+ *
+ * @param {Object|Array} jsonData - 網格尺寸參數、二維矩陣或 CSV 紀錄陣列
+ * @param {number} [jsonData.x=10] - 網格 X 方向節點數量
+ * @param {number} [jsonData.y=10] - 網格 Y 方向節點數量
+ * @param {Object} [options] - 處理選項
+ * @param {number|string} [options.seed=DEFAULT_SEED] - 隨機數種子
+ * @param {number[]} [options.weights] - 數值權重表（預設 9:8:7:6:5:4:3:2:1:1）
+ * @param {string} [options.missingCellPolicy='empty'] - 缺值處理規則（見 MISSING_CELL_POLICIES）
+ * @param {Function} [options.onProgress] - 進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @returns {Object} - 包含處理後網格數據的完整結構
+ *
+ * @example
+ * // 處理網格數據
+ * const jsonData = { x: 3, y: 3 };
+ * const result = await processGridSchematicJson(jsonData);
+ *
+ * @since 1.0.0
+ * @see {@link loadGridSchematicJson} 網格示意圖載入函數
+ */
+async function processGridSchematicJson(jsonData, options = {}) {
+  // 建立可重現的隨機數產生器（相同種子得到相同網格）
+  const seed = options.seed ?? DEFAULT_SEED;
+  const rng = createSeededRandom(seed);
+  const missingCellPolicy = options.missingCellPolicy || MISSING_CELL_POLICIES.EMPTY;
+
+  // 解析網格尺寸與格子數值（沒有格子數值時全部隨機生成）
+  const { gridX, gridY, cells } = normalizeGridSource(jsonData);
+  const valueSource = cells ? VALUE_SOURCES.FILE : VALUE_SOURCES.RANDOM;
+
+  // 缺值填補：平均值只使用已量測的格子
+  const measuredStats = cells
+    ? computeValueStats(Array.from(cells.values()).map((cell) => cell.value))
+    : null;
+  const fillMissingValue = () => {
+    switch (missingCellPolicy) {
+      case MISSING_CELL_POLICIES.ZERO:
+        return 0;
+      case MISSING_CELL_POLICIES.MEAN:
+        return measuredStats.avg === null ? null : Math.round(measuredStats.avg * 100) / 100;
+      case MISSING_CELL_POLICIES.RANDOM:
+        return generateWeightedRandomValue(rng, options.weights);
+      default:
+        return null;
+    }
+  };
+
+  // 生成網格節點數據，同時依排收集數值（只走訪一次網格）
+  const gridNodes = [];
+  const xRowValues = Array.from({ length: gridX }, () => []);
+  const yRowValues = Array.from({ length: gridY }, () => []);
+  let emptyCellCount = 0;
+  let filledCellCount = 0;
+  const progressStep = Math.max(1, Math.floor(gridY / 20));
+  for (let y = 0; y < gridY; y++) {
+    if (options.onProgress && y % progressStep === 0) {
+      options.onProgress(Math.round((y / gridY) * 80), '生成網格節點');
+    }
+
+    for (let x = 0; x < gridX; x++) {
+      const node = {
+        x: x,
+        y: y,
+        value: null,
+        type: 1, // 預設節點類型
+        coord: { x: x, y: y },
+      };
+
+      if (!cells) {
+        node.value = generateWeightedRandomValue(rng, options.weights); // 使用權重隨機生成數值
+      } else {
+        const cell = cells.get(`${x},${y}`);
+        if (cell) node.type = cell.type;
+
+        if (cell && cell.value !== null) {
+          node.value = cell.value;
+        } else {
+          node.value = fillMissingValue();
+          if (node.value === null) {
+            node.isEmpty = true;
+            emptyCellCount++;
+          } else {
+            node.isFilled = true;
+            filledCellCount++;
+          }
+        }
+      }
+
+      gridNodes.push(node);
+      xRowValues[x].push(node.value);
+      yRowValues[y].push(node.value);
+    }
+  }
+
+  // 計算 x 排和 y 排的最大值與最小值（空格不參與統計）
+  options.onProgress?.(80, '計算統計');
+  const formatStats = (values) => {
+    const stats = computeValueStats(values);
+    return { ...stats, avg: stats.avg === null ? null : stats.avg.toFixed(2) };
+  };
+  // 每一 x 排（垂直方向）與 y 排（水平方向）的統計數據
+  const xRowStats = xRowValues.map((values, x) => ({ row: x, ...formatStats(values) }));
+  const yRowStats = yRowValues.map((values, y) => ({ row: y, ...formatStats(values) }));
+
+  // 計算整體統計
+  const overallStats = formatStats(gridNodes.map((node) => node.value));
+
+  // 各排最小值中的最小值、最大值中的最大值
+  const xRowMinMax = {
+    min: computeValueStats(xRowStats.map((stat) => stat.min)).min,
+    max: computeValueStats(xRowStats.map((stat) => stat.max)).max,
+  };
+  const yRowMinMax = {
+    min: computeValueStats(yRowStats.map((stat) => stat.min)).min,
+    max: computeValueStats(yRowStats.map((stat) => stat.max)).max,
+  };
+
+  // 建立摘要資料
+  const dashboardData = {
+    totalNodes: gridX * gridY,
+    gridSize: `${gridX} x ${gridY}`,
+    gridX: gridX,
+    gridY: gridY,
+    nodeCount: gridNodes.length,
+    // 新增統計數據
+    xRowStats: xRowStats,
+    yRowStats: yRowStats,
+    overallStats: overallStats,
+    // 簡化的統計摘要（用於儀表板顯示）
+    xRowMinMax: xRowMinMax,
+    yRowMinMax: yRowMinMax,
+  };
+
+  // 建立圖層資訊數據
+  const layerInfoData = {
+    totalNodes: gridX * gridY,
+    gridSize: `${gridX} x ${gridY}`,
+    gridX: gridX,
+    gridY: gridY,
+    valueSource: valueSource,
+    // 隨機生成時記錄種子；使用量測數值時記錄缺值處理結果
+    ...(cells
+      ? {
+          missingCellPolicy: missingCellPolicy,
+          emptyCells: emptyCellCount,
+          filledCells: filledCellCount,
+        }
+      : { seed: seed }),
+    ...(cells && missingCellPolicy === MISSING_CELL_POLICIES.RANDOM ? { seed: seed } : {}),
+    // 新增統計數據
+    xRowStats: xRowStats,
+    yRowStats: yRowStats,
+    overallStats: overallStats,
+    xRowMinMax: xRowMinMax,
+    yRowMinMax: yRowMinMax,
+  };
+
+  // 建立表格資料
+  const dataTableData = [
+    {
+      '#': 1,
+      name: `網格示意圖 (${gridX}x${gridY})`,
+      gridSize: `${gridX} x ${gridY}`,
+      totalNodes: gridX * gridY,
+      nodes: gridNodes,
+      // 新增統計數據到表格
+      xRowMinMax: xRowMinMax,
+      yRowMinMax: yRowMinMax,
+      overallStats: overallStats,
+    },
+  ];
+
+  return {
+    jsonData: jsonData, // 保持原始數據不變
+    processedJsonData: {
+      gridX: gridX,
+      gridY: gridY,
+      nodes: gridNodes,
+      type: 'grid',
+      // 新增統計數據到處理後的數據
+      xRowStats: xRowStats,
+      yRowStats: yRowStats,
+      overallStats: overallStats,
+      xRowMinMax: xRowMinMax,
+      yRowMinMax: yRowMinMax,
+    },
+    dashboardData,
+    dataTableData,
+    layerInfoData,
+  };
+}
+
+/**
+ * 📊 處理數據圖層 JSON 數據 (Process Data Layer JSON Data)
+ *
+ * 這是一個專門用於處理數據圖層 JSON 數據的核心函數，負責將原始的地理空間數據
+ * 轉換為適合前端視覺化組件使用的標準化格式。該函數支援多種數據格式，包括
+ * 示意圖節點數據和標準地理數據，並提供完整的數據預處理和格式轉換功能。
+ *
+ * 🎯 主要功能 (Main Features):
+ * - 數據格式識別：自動識別輸入數據的格式類型
+ * - 示意圖節點處理：處理包含節點陣列的複雜示意圖數據
+ * - 標準地理數據處理：處理一般的地理空間數據
+ * - 數值來源：依 valueSource 保留檔案數值、隨機分配或合併外部數值
+ * - 節點類型推算：依 nodeTypeMode 從前後節點座標補上或取代節點 type
+ * - 數據驗證：以 validateSchematicLines 檢查示意圖節點，結果放在 layerInfoData.diagnostics
+ * - 統計摘要生成：計算數據統計信息和摘要數據
+ * - 表格數據建構：生成適合表格組件顯示的數據結構
+ *
+ * 🔧 支援的數據格式 (Supported Data Formats):
+ * - 示意圖節點數據：包含節點陣列的複雜數據結構
+ *   - 格式：Array<{ nodes: Array, name: string, color: string }>
+ *   - 用途：用於繪製複雜的示意圖網絡
+ * - 標準地理數據：包含地理要素屬性的標準 JSON 格式
+ *   - 格式：Array<{ name: string, id: string, [其他屬性]: any }>
+ *   - 用途：用於一般的地理數據顯示
+ *
+ * 📊 數據處理邏輯 (Data Processing Logic):
+ * 1. 格式檢測：檢查數據是否為示意圖節點格式
+ * 2. 示意圖處理：如果是示意圖格式，執行節點隨機化和統計計算
+ * 3. 標準處理：如果是標準格式，執行一般的地理數據處理
+ * 4. 統計計算：計算數據統計信息和摘要數據
+ * 5. 表格建構：生成適合表格顯示的數據結構
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * // 處理示意圖節點數據
+ * const schematicData = [
+ *   {
+ *     name: 'Line 1',
+ *     color: 'red',
+ *     nodes: [
+ *       { coord: { x: 0, y: 0 }, value: 0 },
+ *       { coord: { x: 1, y: 0 }, value: 0 }
+ *     ]
+ *   }
+ * ];
+ * const result = await processDataLayerJson(schematicData);
+ *
+ * // 處理標準地理數據
+ * const geoData = [
+ *   { name: 'Station 1', id: 'S1', type: 'metro' },
+ *   { name: 'Station 2', id: 'S2', type: 'metro' }
+ * ];
+ * const result = await processDataLayerJson(geoData);
+ * ```
+ *
+ * 📈 示意圖節點數據格式 (Schematic Node Data Format):
+ * ```javascript
+ * [
+ *   {
+ *     name: string,           // 路線名稱
+ *     color: string,          // 路線顏色
+ *     nodes: [                // 節點陣列
+ *       {
+ *         coord: { x: number, y: number },  // 節點座標
+ *         value: number,       // 節點數值
+ *         type?: number,       // 節點類型（省略時由座標推算）
+ *         id?: string,         // 車站代碼
+ *         name?: string,       // 車站名稱
+ *         nameEn?: string,     // 車站英文名稱
+ *         isStation?: boolean, // 是否為車站（省略時有 name 即視為車站）
+ *         labelSide?: string,  // 車站標籤位置，覆寫圖層的 stationLabelSide
+ *         [其他屬性]: any      // 其他節點屬性
+ *       }
+ *     ]
+ *   }
+ * ]
+ * ```
+ *
+ * 📈 標準地理數據格式 (Standard Geo Data Format):
+ * ```javascript
+ * [
+ *   {
+ *     name: string,           // 要素名稱
+ *     id: string,             // 要素 ID
+ *     [其他屬性]: any         // 其他地理屬性
+ *   }
+ * ]
+ * ```
+ *
+ * 📈 輸出數據結構 (Output Data Structure):
+ * ```javascript
+ * {
+ *   jsonData: Object | null,  // 原始 JSON 數據（標準格式）或 null（示意圖格式）
+ *   dashboardData: {            // 統計摘要數據
+ *     totalLines?: number,    // 總路線數量（示意圖格式）
+ *     totalNodes?: number,    // 總節點數量（示意圖格式）
+ *     lineNames?: string[],   // 路線名稱陣列（示意圖格式）
+ *     totalCount?: number,    // 總項目數量（標準格式）
+ *     itemNames?: string[]    // 項目名稱陣列（標準格式）
+ *   },
+ *   dataTableData: Array          // 表格顯示數據
+ * }
+ * ```
+ *
+ * 🔄 數據處理流程 (Data Processing Flow):
+ * 1. 檢查數據格式（示意圖節點或標準地理數據）
+ * 2. 根據格式選擇適當的處理邏輯
+ * 3. 執行數據預處理和格式轉換
+ * 4. 計算統計摘要信息
+ * 5. 生成表格顯示數據
+ * 6. 返回標準化的數據結構
+ *
+ * ⚠️ 注意事項 (Important Notes):
+ * - 示意圖節點數值依 valueSource 決定：file 保留原值、random 隨機化（相同 seed 結果相同）、
+ *   external 從外部檔案合併
+ * - 標準地理數據保持原始格式不變
+ * - 統計摘要會根據數據格式自動調整
+ * - 表格數據會根據數據類型生成不同的結構
+ *
+ * @param {Object} jsonData - 需要處理的 JSON 數據
+ * @param {Array} [jsonData] - 示意圖節點數據陣列
+ * @param {Array} [jsonData] - 標準地理數據陣列
+ * @param {Object} [options] - 處理選項
+ * @param {number|string} [options.seed=DEFAULT_SEED] - 隨機數種子
+ * @param {number[]} [options.weights] - 數值權重表
+ * @param {string} [options.valueSource='random'] - 節點數值來源模式
+ * @param {string} [options.valueFileName] - 外部數值檔案名稱（僅用於顯示）
+ * @param {Array|Object} [options.externalValues] - 外部數值檔案內容
+ * @param {string} [options.nodeTypeMode='report'] - 節點類型模式（'report' | 'override'）
+ * @param {Function} [options.onProgress] - 進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @returns {Object} - 包含處理後數據的完整結構
+ *
+ * @example
+ * // 處理示意圖數據
+ * const schematicData = [{ name: 'Line 1', nodes: [] }];
+ * const result = await processDataLayerJson(schematicData);
+ *
+ * // 處理標準地理數據
+ * const geoData = [{ name: 'Station 1', id: 'S1' }];
+ * const result = await processDataLayerJson(geoData);
+ *
+ * @since 1.0.0
+ * @see {@link generateWeightedRandomValue} 權重隨機數函數
+ * @see {@link loadDataLayerJson} 數據圖層載入函數
+ */
+async function processDataLayerJson(jsonData, options = {}) {
+  const seed = options.seed ?? DEFAULT_SEED;
+  const rng = createSeededRandom(seed);
+
+  // 檢查是否為示意圖節點格式
+  if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].nodes) {
+    // 這是示意圖節點格式，不需要處理為地圖圖層
+
+    // 依座標推算節點 type：缺少 type 的節點一律補上，override 模式取代全部
+    options.onProgress?.(0, '推算節點類型');
+    const nodeTypeMode = options.nodeTypeMode || NODE_TYPE_MODES.REPORT;
+    const { lines: typedLines, inferredCount } = applyNodeTypes(jsonData, nodeTypeMode);
+
+    // 依數值來源模式決定每個節點的數值（file / random / external）
+    options.onProgress?.(30, '套用節點數值');
+    const valueSource = options.valueSource || VALUE_SOURCES.RANDOM;
+    const { lines: processedJsonData, matchedCount } = applyNodeValues(typedLines, {
+      valueSource,
+      rng,
+      weights: options.weights,
+      externalValues: options.externalValues,
+    });
+    const totalNodes = processedJsonData.reduce((sum, line) => sum + line.nodes.length, 0);
+    const totalStations = processedJsonData.reduce(
+      (sum, line) => sum + line.nodes.filter(isStationNode).length,
+      0
+    );
+
+    // 驗證實際繪製的路線，診斷結果顯示在圖層資訊分頁（不中斷載入）；
+    // report 模式下與座標不一致的檔案 type 會在這裡列出
+    options.onProgress?.(60, '驗證路線');
+    const diagnostics = validateSchematicLines(typedLines);
+
+    // 建立摘要資料
+    const dashboardData = {
+      totalLines: processedJsonData.length,
+      totalNodes: totalNodes,
+      lineNames: processedJsonData.map((line) => line.name),
+    };
+
+    // 建立圖層資訊數據
+    const layerInfoData = {
+      totalLines: processedJsonData.length,
+      totalNodes: totalNodes,
+      totalStations: totalStations,
+      lineNames: processedJsonData.map((line) => line.name),
+      valueSource: valueSource,
+      ...(valueSource === VALUE_SOURCES.RANDOM && { seed: seed }),
+      ...(valueSource === VALUE_SOURCES.EXTERNAL && { valueFileName: options.valueFileName }),
+      ...(valueSource !== VALUE_SOURCES.RANDOM && {
+        valuedNodes: `${matchedCount} / ${totalNodes}`,
+      }),
+      nodeTypeMode: nodeTypeMode,
+      inferredNodeTypes: `${inferredCount} / ${totalNodes}`,
+      diagnostics: diagnostics,
+    };
+
+    // 為示意圖數據建立 dataTableData，每個路線作為一個項目
+    const dataTableData = processedJsonData.map((line, index) => ({
+      '#': index + 1,
+      color: line.color,
+      name: line.name,
+      nodes: line.nodes,
+    }));
+
+    return {
+      jsonData: jsonData, // 保持原始數據不變
+      processedJsonData: processedJsonData, // 處理後的示意圖數據（依數值來源模式填入數值）
+      dashboardData,
+      dataTableData,
+      layerInfoData,
+    };
+  }
+
+  // 標準 JSON 格式處理 - 示意圖節點數據
+
+  // 建立摘要資料
+  const dashboardData = {
+    totalCount: jsonData.length,
+    itemNames: jsonData.map((item) => item.name || item.id || '未命名項目'),
+  };
+
+  // 建立圖層資訊數據
+  const layerInfoData = {
+    totalItems: jsonData.length,
+    itemNames: jsonData.map((item) => item.name || item.id || '未命名項目'),
+    hasFeatures: jsonData.some((item) => item.features),
+    hasProperties: jsonData.some((item) => item.properties),
+  };
+
+  return {
+    jsonData: jsonData, // 保持原始數據不變
+    processedJsonData: jsonData, // 標準格式數據直接使用原始數據
+    dashboardData,
+    layerInfoData,
+    dataTableData: jsonData.map((item, index) => ({
+      '#': index + 1,
+      name: item.name || item.id || '未命名項目',
+      ...item,
+    })),
+  };
+}
+
+// ==================== 🧵 處理任務 (Processing Tasks) ====================
+
+/**
+ * 🧵 執行數據處理任務 (Run Processing Task)
+ *
+ * 依任務執行載入後處理並一併產生繪製數據。processingWorker.js 在 Worker 中呼叫此函數，
+ * 無法使用 Worker 時也直接在主執行緒呼叫，兩者的結果相同。
+ * 傳入的 options 必須可被結構化複製，因此種子需在主執行緒以 resolveLayerSeed 先解析好。
+ *
+ * @param {string} task - 處理任務（見 PROCESSING_TASKS）
+ * @param {Object} payload - 任務內容
+ * @param {Object|Array} payload.jsonData - 載入的原始數據
+ * @param {Object} [payload.options] - processGridSchematicJson / processDataLayerJson 的選項
+ * @param {Function} [onProgress] - 進度回呼 `(progress: 0 ~ 100, message) => void`
+ * @returns {Promise<Object>} 載入結果，另含 drawJsonData
+ * @throws {Error} 未知任務或處理失敗時拋出錯誤
+ * @since 3.1.0
+ */
+export async function runProcessingTask(task, { jsonData, options = {} }, onProgress) {
+  // 處理階段佔 0 ~ 80%，產生繪製數據佔 80 ~ 100%
+  const reportProcessing = (progress, message) => onProgress?.(Math.round(progress * 0.8), message);
+
+  let result;
+  let toDrawData;
+  if (task === PROCESSING_TASKS.GRID) {
+    result = await processGridSchematicJson(jsonData, { ...options, onProgress: reportProcessing });
+    toDrawData = processGridToDrawData;
+  } else if (task === PROCESSING_TASKS.METRO) {
+    result = await processDataLayerJson(jsonData, { ...options, onProgress: reportProcessing });
+    toDrawData = processMetroToDrawData;
+  } else {
+    throw new Error(`未知的處理任務 "${task}"`);
+  }
+
+  onProgress?.(80, '產生繪製數據');
+  const drawJsonData = result.processedJsonData ? toDrawData(result.processedJsonData) : null;
+  onProgress?.(100, '處理完成');
+
+  return { ...result, drawJsonData };
+}
+
+// ==================== 🎨 繪製數據處理函數 (Draw Data Processing Functions) ====================
+
+/**
+ * 🎨 網格示意圖轉繪製數據 (Process Grid to Draw Data)
+ *
+ * 將網格示意圖的 processedJsonData 轉換為適合 D3.js 繪製的 drawJsonData
+ *
+ * @param {Object} processedData - 處理後的網格數據
+ * @returns {Object} 繪製用的數據結構
+ */
+export function processGridToDrawData(processedData) {
+  if (!processedData || !processedData.nodes) {
+    console.warn('網格數據不完整，無法生成繪製數據');
+    return null;
+  }
+
+  // 計算網格尺寸
+  const gridX = processedData.gridX || 10;
+  const gridY = processedData.gridY || 10;
+
+  // 生成繪製用的節點數據
+  const drawNodes = processedData.nodes.map((node, index) => ({
+    id: `grid_${node.x}_${node.y}`,
+    x: node.x,
+    y: node.y,
+    value: node.value,
+    type: node.type || 1,
+    coord: { x: node.x, y: node.y },
+    gridIndex: index,
+    isGridNode: true,
+    isEmpty: node.isEmpty || false,
+    // 顏色：優先使用自定義顏色，否則預設白色
+    color: node.color || '#FFFFFF',
+  }));
+
+  // 生成繪製用的連線數據（網格邊界）
+  const drawLinks = [];
+  for (let y = 0; y < gridY; y++) {
+    for (let x = 0; x < gridX; x++) {
+      const currentIndex = y * gridX + x;
+
+      // 水平連線（向右）
+      if (x < gridX - 1) {
+        const rightIndex = y * gridX + (x + 1);
+        drawLinks.push({
+          id: `link_h_${x}_${y}`,
+          source: currentIndex,
+          target: rightIndex,
+          type: 'horizontal',
+        });
+      }
+
+      // 垂直連線（向下）
+      if (y < gridY - 1) {
+        const bottomIndex = (y + 1) * gridX + x;
+        drawLinks.push({
+          id: `link_v_${x}_${y}`,
+          source: currentIndex,
+          target: bottomIndex,
+          type: 'vertical',
+        });
+      }
+    }
+  }
+
+  // 計算統計標籤數據
+  const xRowStats = [];
+  const yRowStats = [];
+
+  // 計算 X 排（垂直方向）統計
+  for (let x = 0; x < gridX; x++) {
+    const values = [];
+    for (let y = 0; y < gridY; y++) {
+      const nodeIndex = y * gridX + x;
+      if (drawNodes[nodeIndex]) {
+        values.push(drawNodes[nodeIndex].value);
+      }
+    }
+
+    if (values.length > 0) {
+      const { min, max, avg, count } = computeValueStats(values);
+      xRowStats.push({ row: x, min, max, avg, count });
+    }
+  }
+
+  // 計算 Y 排（水平方向）統計
+  for (let y = 0; y < gridY; y++) {
+    const values = [];
+    for (let x = 0; x < gridX; x++) {
+      const nodeIndex = y * gridX + x;
+      if (drawNodes[nodeIndex]) {
+        values.push(drawNodes[nodeIndex].value);
+      }
+    }
+
+    if (values.length > 0) {
+      const { min, max, avg, count } = computeValueStats(values);
+      yRowStats.push({ row: y, min, max, avg, count });
+    }
+  }
+
+  // 計算整體統計
+  const { min, max, avg, count } = computeValueStats(drawNodes.map((node) => node.value));
+  const overallStats = { min, max, avg, count };
+
+  // 計算需要高亮的 column（基於最大值最小的 column）
+  // 步驟 1: 提取每個 column 的最大值，形成陣列 [max1, max2, max3, ...]
+  const columnMaxValues = xRowStats.map((stat) => stat.max);
+  // 步驟 2: 找出所有 column 最大值中的最小值（min of max）
+  const minColumnMax = computeValueStats(columnMaxValues).min;
+  // 步驟 3: 找出哪些 column 的最大值等於這個最小值，並取得它們的索引
+  const highlightColumnIndices = xRowStats
+    .map((stat, index) => ({ stat, index })) // 將統計數據與索引配對
+    .filter(({ stat }) => stat.max !== null && stat.max === minColumnMax) // 篩選出最大值等於 minColumnMax 的 column
+    .map(({ index }) => index); // 只保留索引值
+
+  // 計算需要高亮的 row（基於最大值最小的 row）
+  // 步驟 1: 提取每個 row 的最大值，形成陣列 [max1, max2, max3, ...]
+  const rowMaxValues = yRowStats.map((stat) => stat.max);
+  // 步驟 2: 找出所有 row 最大值中的最小值（min of max）
+  const minRowMax = computeValueStats(rowMaxValues).min;
+  // 步驟 3: 找出哪些 row 的最大值等於這個最小值，並取得它們的索引
+  const highlightRowIndices = yRowStats
+    .map((stat, index) => ({ stat, index })) // 將統計數據與索引配對
+    .filter(({ stat }) => stat.max !== null && stat.max === minRowMax) // 篩選出最大值等於 minRowMax 的 row
+    .map(({ index }) => index); // 只保留索引值
+
+  return {
+    type: 'grid',
+    gridX,
+    gridY,
+    nodes: drawNodes,
+    links: drawLinks,
+    totalNodes: drawNodes.length,
+    totalLinks: drawLinks.length,
+    // 統計標籤數據
+    statsLabels: {
+      xRowStats, // X 排統計數據
+      yRowStats, // Y 排統計數據
+      overallStats, // 整體統計數據
+      // 簡化的顏色配置
+      color: '#4CAF50', // 預設綠色
+      highlightColumnIndices, // 需要高亮的 column 索引（紅色）
+      highlightRowIndices, // 需要高亮的 row 索引（紅色）
+    },
+  };
+}
+
+/**
+ * 🔀 偵測轉乘站 (Detect Interchanges)
+ *
+ * 兩條以上路線經過同一座標時視為轉乘站。台北捷運的數據多半沒有車站代碼，
+ * 因此以座標判斷；同一條路線重複經過同一座標（例如環狀線）只算一次。
+ * 偵測到的節點會標記 isInterchange 與 interchangeId（會修改傳入的節點）。
+ *
+ * @param {Array<Object>} drawNodes - processMetroToDrawData 產生的繪製節點
+ * @returns {Array<Object>} 轉乘站清單，依座標第一次出現的順序排列：
+ *   `{ id, coord, stationId, name, nameEn, lines: [{ name, color, lineIndex }], transferCount, nodeIds }`，
+ *   transferCount 為可轉乘的其他路線數（路線數 - 1）
+ */
+function detectInterchanges(drawNodes) {
+  const nodesByCoord = new Map();
+  drawNodes.forEach((node) => {
+    const key = `${node.x}_${node.y}`;
+    if (!nodesByCoord.has(key)) nodesByCoord.set(key, []);
+    nodesByCoord.get(key).push(node);
+  });
+
+  const interchanges = [];
+  nodesByCoord.forEach((nodes, key) => {
+    const lines = [];
+    nodes.forEach((node) => {
+      if (lines.some((line) => line.lineIndex === node.lineIndex)) return;
+      lines.push({ name: node.lineName, color: node.lineColor, lineIndex: node.lineIndex });
+    });
+
+    const isInterchange = lines.length > 1;
+    const id = `interchange_${key}`;
+    nodes.forEach((node) => {
+      node.isInterchange = isInterchange;
+      node.interchangeId = isInterchange ? id : null;
+    });
+    if (!isInterchange) return;
+
+    // 車站資訊取第一個有填寫的節點
+    const station = nodes.find((node) => node.stationId !== null || node.name !== null) ?? nodes[0];
+    interchanges.push({
+      id,
+      coord: { ...nodes[0].coord },
+      stationId: station.stationId,
+      name: station.name,
+      nameEn: station.nameEn,
+      lines,
+      transferCount: lines.length - 1,
+      nodeIds: nodes.map((node) => node.id),
+    });
+  });
+
+  return interchanges;
+}
+
+/**
+ * 🎨 台北捷運轉繪製數據 (Process Metro to Draw Data)
+ *
+ * 將台北捷運的 processedJsonData 轉換為適合 D3.js 繪製的 drawJsonData。
+ * 節點的車站資訊（id、name、nameEn、isStation、labelSide）會一併帶入，
+ * 其中車站代碼改放在 stationId，避免與繪製節點的 id 衝突。
+ * 多條路線共用的座標列在 interchanges（見 detectInterchanges），對應節點標記 isInterchange。
+ * 多條路線共用的路段列在 sharedEdges，節點的 offsetIn / offsetOut 與連線的 offset
+ * 為並排繪製的偏移量（線寬為單位，行進方向左側為正，見 lineBundling.js）。
+ * 連線的 direction 為從 source 到 target 的方向代碼（1 ~ 4 水平垂直、5 ~ 8 斜向，
+ * 見 schematicEncoding.js），兩個節點不是相鄰格子時為 null。
+ *
+ * @param {Array} processedData - 處理後的捷運數據
+ * @returns {Object} 繪製用的數據結構
+ */
+export function processMetroToDrawData(processedData) {
+  if (!Array.isArray(processedData) || processedData.length === 0) {
+    console.warn('捷運數據不完整，無法生成繪製數據');
+    return null;
+  }
+
+  // 生成繪製用的節點數據
+  const drawNodes = [];
+  const drawLinks = [];
+
+  // 共用路段的並排偏移量
+  const { nodeOffsets, sharedEdges } = bundleLineEdges(processedData);
+
+  processedData.forEach((line, lineIndex) => {
+    if (!line.nodes || !Array.isArray(line.nodes)) return;
+
+    // 處理每個路線的節點
+    line.nodes.forEach((node, nodeIdx) => {
+      const nodeId = `metro_${lineIndex}_${nodeIdx}`;
+
+      drawNodes.push({
+        id: nodeId,
+        x: node.coord.x,
+        y: node.coord.y,
+        value: node.value,
+        type: node.type,
+        coord: { x: node.coord.x, y: node.coord.y },
+        lineName: line.name,
+        lineColor: line.color,
+        lineIndex: lineIndex,
+        nodeIndex: nodeIdx,
+        isMetroNode: true,
+        // 車站資訊（選填）；id 已用於繪製節點，車站代碼改放在 stationId
+        stationId: node.id ?? null,
+        name: node.name ?? null,
+        nameEn: node.nameEn ?? null,
+        isStation: isStationNode(node),
+        labelSide: node.labelSide ?? null,
+        offsetIn: nodeOffsets[lineIndex][nodeIdx].in,
+        offsetOut: nodeOffsets[lineIndex][nodeIdx].out,
+      });
+
+      // 生成路線連線（相鄰節點）
+      if (nodeIdx > 0) {
+        const prevNodeId = `metro_${lineIndex}_${nodeIdx - 1}`;
+        drawLinks.push({
+          id: `metro_link_${lineIndex}_${nodeIdx - 1}`,
+          source: prevNodeId,
+          target: nodeId,
+          lineName: line.name,
+          lineColor: line.color,
+          lineIndex: lineIndex,
+          type: 'metro',
+          direction: getStepDirection(line.nodes[nodeIdx - 1].coord, node.coord),
+          offset: nodeOffsets[lineIndex][nodeIdx].in,
+        });
+      }
+    });
+  });
+
+  const interchanges = detectInterchanges(drawNodes);
+
+  return {
+    type: 'metro',
+    lines: processedData.map((line) => ({
+      name: line.name,
+      color: line.color,
+      nodeCount: line.nodes.length,
+    })),
+    nodes: drawNodes,
+    links: drawLinks,
+    interchanges,
+    sharedEdges,
+    totalNodes: drawNodes.length,
+    totalLinks: drawLinks.length,
+    totalLines: processedData.length,
+    totalInterchanges: interchanges.length,
+    totalSharedEdges: sharedEdges.length,
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * 🗂️ 圖層清單模組 (Layer Registry Module)
+ *
+ * 從 `public/data/layers.json` 讀取圖層群組與圖層設定，依每個圖層的 `kind`
+ * 對應到載入函數（jsonLoader）與繪製數據函數（processToDrawData），
+ * 產生 dataStore 使用的圖層對象。新增資料集只需要放入數據檔並在清單中加一筆設定。
+ *
+ * 📋 清單格式 (Manifest Format):
+ * ```json
+ * {
+ *   "groups": [
+ *     {
+ *       "groupName": "數據圖層",
+ *       "layers": [
+ *         {
+ *           "layerId": "taipei_metro",
+ *           "layerName": "Taipei Metro",
+ *           "kind": "metro",
+ *           "file": "taipei/taipei_schematic.json",
+ *           "colorName": "orange",
+ *           "visible": false,
+ *           "seed": 20251007,
+ *           "description": "台北捷運路網示意圖",
+ *           "options": { "valueSource": "random" }
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * `options` 內的欄位會原樣放到圖層對象上，供載入函數使用
+ * （例如 valueSource、missingCellPolicy、nodeTypeMode、gridResolution、stationLabelSide、renderer）。
+ *
+ * ⚠️ 錯誤處理 (Error Handling):
+ * - 清單檔案不存在或格式錯誤：loadLayerManifest 拋出錯誤
+ * - 單一圖層設定錯誤（未知 kind、缺少 file、重複 layerId 等）：略過該圖層並列入 errors，
+ *   其他圖層照常建立
+ *
+ * @file layerRegistry.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import {
+  loadDataFile,
+  loadDataLayerJson,
+  loadGeoJsonLayer,
+  loadGridSchematicJson,
+} from './dataProcessor.js';
+import { processGridToDrawData, processMetroToDrawData } from './layerProcessing.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 📄 圖層清單檔名 (Manifest File Name)
+ *
+ * 相對於數據目錄（PATH_CONFIG.JSON / PATH_CONFIG.FALLBACK_JSON）。
+ *
+ * @type {string}
+ */
+export const LAYER_MANIFEST_FILE = 'layers.json';
+
+/**
+ * 🧩 圖層類型對照表 (Layer Kinds)
+ *
+ * 鍵為清單中的 kind，值包含載入函數、繪製數據函數與該類型的預設圖層屬性。
+ *
+ * @type {Object.<string, {jsonLoader: Function, processToDrawData: Function, defaults: Object}>}
+ */
+export const LAYER_KINDS = {
+  grid: {
+    jsonLoader: loadGridSchematicJson,
+    processToDrawData: processGridToDrawData,
+    defaults: { isGridSchematic: true },
+  },
+  metro: {
+    jsonLoader: loadDataLayerJson,
+    processToDrawData: processMetroToDrawData,
+    defaults: { valueSource: 'random' },
+  },
+  geojson: {
+    jsonLoader: loadGeoJsonLayer,
+    processToDrawData: processMetroToDrawData,
+    defaults: { valueSource: 'random' },
+  },
+};
+
+/**
+ * 📋 所有圖層共用的預設屬性 (Shared Layer Defaults)
+ *
+ * 載入狀態與數據欄位一律從空白開始；seed 與 valueWeights 沿用既有圖層的預設值。
+ *
+ * @type {Object}
+ */
+export const LAYER_DEFAULTS = {
+  visible: false,
+  isLoading: false,
+  isLoaded: false,
+  loadError: null,
+  loadProgress: null,
+  loadStage: null,
+  cacheInfo: null,
+  colorName: 'orange',
+  jsonData: null,
+  processedJsonData: null,
+  drawJsonData: null,
+  dashboardData: null,
+  dataTableData: null,
+  layerInfoData: null,
+  seed: 20251007,
+  valueWeights: [9, 8, 7, 6, 5, 4, 3, 2, 1, 1],
+  isDataLayer: true,
+  hideFromMap: true,
+  display: true,
+  renderer: 'auto',
+};
+
+// ==================== 🔧 建立圖層 (Layer Building) ====================
+
+/**
+ * 🧱 由清單項目建立圖層對象 (Build Layer from Manifest Entry)
+ *
+ * @param {Object} entry - 清單中的單一圖層設定
+ * @returns {Object} dataStore 使用的圖層對象
+ * @throws {Error} 缺少必要欄位或 kind 無法辨識時拋出錯誤
+ */
+export function buildLayerFromEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('圖層設定必須是物件');
+  }
+  if (!entry.layerId) {
+    throw new Error('缺少 layerId');
+  }
+
+  const kind = LAYER_KINDS[entry.kind];
+  if (!kind) {
+    throw new Error(
+      `未知的圖層類型 "${entry.kind ?? ''}"（可用：${Object.keys(LAYER_KINDS).join('、')}）`
+    );
+  }
+  if (!entry.file) {
+    throw new Error('缺少 file（數據檔案路徑）');
+  }
+
+  return {
+    ...LAYER_DEFAULTS,
+    ...kind.defaults,
+    ...(entry.options || {}),
+    layerId: entry.layerId,
+    layerName: entry.layerName || entry.layerId,
+    kind: entry.kind,
+    description: entry.description || null,
+    colorName: entry.colorName || LAYER_DEFAULTS.colorName,
+    ...(entry.seed !== undefined && { seed: entry.seed }),
+    defaultVisible: entry.visible === true,
+    jsonFileName: entry.file,
+    jsonLoader: kind.jsonLoader,
+    processToDrawData: kind.processToDrawData,
+  };
+}
+
+/**
+ * 🗂️ 由清單建立圖層群組 (Build Layer Groups from Manifest)
+ *
+ * 設定錯誤的圖層會被略過並記錄在 errors，不影響同一清單中的其他圖層。
+ *
+ * @param {Object} manifest - layers.json 的內容
+ * @returns {{ groups: Array<Object>, errors: Array<{groupName: string, layerId: string|null, message: string}> }}
+ *   圖層群組（與 dataStore.layers 相同格式）與設定錯誤清單
+ * @throws {Error} 清單缺少 groups 陣列時拋出錯誤
+ */
+export function buildLayerGroups(manifest) {
+  if (!manifest || !Array.isArray(manifest.groups)) {
+    throw new Error(`${LAYER_MANIFEST_FILE} 格式錯誤：缺少 groups 陣列`);
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+
+  const groups = manifest.groups.map((group, groupIndex) => {
+    const groupName = group?.groupName || `群組 ${groupIndex + 1}`;
+    const entries = Array.isArray(group?.layers) ? group.layers : [];
+    const groupLayers = [];
+
+    entries.forEach((entry) => {
+      const layerId = entry?.layerId ?? null;
+      try {
+        if (seenIds.has(layerId)) {
+          throw new Error('layerId 重複');
+        }
+        groupLayers.push(buildLayerFromEntry(entry));
+        seenIds.add(layerId);
+      } catch (error) {
+        errors.push({ groupName, layerId, message: error.message });
+      }
+    });
+
+    return { groupName, groupLayers };
+  });
+
+  return { groups, errors };
+}
+
+/**
+ * 📥 載入圖層清單 (Load Layer Manifest)
+ *
+ * @returns {Promise<{ groups: Array<Object>, errors: Array<Object> }>} 同 buildLayerGroups
+ * @throws {Error} 清單檔案無法載入、不是合法 JSON 或缺少 groups 時拋出錯誤
+ */
+export async function loadLayerManifest() {
+  const response = await loadDataFile(LAYER_MANIFEST_FILE);
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (error) {
+    throw new Error(`${LAYER_MANIFEST_FILE} 不是合法的 JSON：${error.message}`);
+  }
+
+  return buildLayerGroups(manifest);
+}
@@ -0,0 +1,207 @@
+/**
+ * 🛤️ 共線路段平行偏移 (Line Bundling)
+ *
+ * 多條路線經過同一段網格邊（相鄰兩格，包含斜向相鄰）時，原本會畫在完全相同的位置而互相遮住。
+ * 此模組找出共用的網格邊，為每條路線決定在該路段的左右順序，並換算成偏移量，
+ * 讓 D3jsTab 把它們畫成並排的平行線。
+ *
+ * 📐 偏移量 (Offsets):
+ * - 以線寬為單位，行進方向的左側為正（y = 0 在底部，與 schematicEncoding.js 相同）
+ * - n 條路線共用時依序為 (n - 1) / 2、(n - 1) / 2 - 1 ... -(n - 1) / 2，以路段中心對稱
+ * - 只有一條路線的路段偏移量為 0
+ *
+ * 🔀 順序決定方式 (Ordering):
+ * 兩條路線沿共用的路段往前走到分岔處，往左轉的一條排在左側；
+ * 往前無法分出左右（兩條同時結束等）時改為往回走，仍無法分出時依路線順序。
+ * 前進方向固定採用路線順序較前者的行進方向，因此同一段共線走廊上每個路段的判斷都相同，
+ * 轉彎時左右順序不變（轉角以同一圓心繪製，見 D3jsTab 的 buildMetroNodeGeometry）。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const { nodeOffsets, sharedEdges } = bundleLineEdges(processedJsonData);
+ * nodeOffsets[0][3]; // => { in: 0.5, out: 0.5 }，第 0 條路線第 3 個節點前後路段的偏移量
+ * ```
+ *
+ * @file lineBundling.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { getStepDirection } from './schematicEncoding.js';
+
+// ==================== 🔧 內部工具函數 (Internal Helpers) ====================
+
+/**
+ * 兩個座標是否相同
+ *
+ * @param {{x: number, y: number}} a - 座標
+ * @param {{x: number, y: number}} b - 座標
+ * @returns {boolean} 是否相同
+ */
+function isSameCoord(a, b) {
+  return a.x === b.x && a.y === b.y;
+}
+
+/**
+ * 轉彎方向
+ *
+ * @param {{x: number, y: number}} prev - 前一格
+ * @param {{x: number, y: number}} current - 目前的格子
+ * @param {{x: number, y: number}|undefined} next - 下一格；路線結束時為 undefined
+ * @returns {number} 1 為左轉、-1 為右轉、0 為直行或路線結束
+ */
+function getTurn(prev, current, next) {
+  if (!next) return 0;
+  const cross =
+    (current.x - prev.x) * (next.y - current.y) - (current.y - prev.y) * (next.x - current.x);
+  return Math.sign(cross);
+}
+
+/**
+ * 從共用路段出發的走訪起點
+ *
+ * @param {Object} traversal - 路線經過路段的紀錄
+ * @param {number} walk - 1 為沿路段正方向（from → to）走，-1 為反方向
+ * @returns {{ prev: number, current: number, step: number }} 節點索引與走訪方向
+ */
+function startWalk(traversal, walk) {
+  const lineStep = (traversal.forward ? 1 : -1) * walk;
+  return lineStep === 1
+    ? { prev: traversal.index, current: traversal.index + 1, step: 1 }
+    : { prev: traversal.index + 1, current: traversal.index, step: -1 };
+}
+
+/**
+ * 沿著兩條路線走到分岔處，比較左右
+ *
+ * @param {Array<Array<Object>>} coordsByLine - 每條路線的座標序列
+ * @param {Object} a - 路線 a 經過路段的紀錄
+ * @param {Object} b - 路線 b 經過路段的紀錄
+ * @param {number} walk - 1 為沿路段正方向走，-1 為反方向
+ * @returns {number} 負數表示 a 在 b 的左側（相對於走訪方向），0 表示無法分出
+ */
+function compareAlong(coordsByLine, a, b, walk) {
+  const coordsA = coordsByLine[a.lineIndex];
+  const coordsB = coordsByLine[b.lineIndex];
+  const stateA = startWalk(a, walk);
+  const stateB = startWalk(b, walk);
+  const limit = Math.min(coordsA.length, coordsB.length);
+
+  for (let step = 0; step < limit; step++) {
+    const nextA = coordsA[stateA.current + stateA.step];
+    const nextB = coordsB[stateB.current + stateB.step];
+
+    if (nextA && nextB && isSameCoord(nextA, nextB)) {
+      stateA.prev = stateA.current;
+      stateA.current += stateA.step;
+      stateB.prev = stateB.current;
+      stateB.current += stateB.step;
+      continue;
+    }
+
+    const prev = coordsA[stateA.prev];
+    const current = coordsA[stateA.current];
+    return getTurn(prev, current, nextB) - getTurn(prev, current, nextA);
+  }
+  return 0;
+}
+
+/**
+ * 比較共用路段上兩條路線的左右順序
+ *
+ * @param {Array<Array<Object>>} coordsByLine - 每條路線的座標序列
+ * @param {Object} a - 路線 a 經過路段的紀錄
+ * @param {Object} b - 路線 b 經過路段的紀錄
+ * @returns {number} 負數表示 a 在 b 的左側（相對於路段正方向 from → to）
+ */
+function compareTraversals(coordsByLine, a, b) {
+  // 以路線順序較前者的行進方向為前進方向，同一段走廊上的判斷才會一致
+  const reference =
+    a.lineIndex < b.lineIndex || (a.lineIndex === b.lineIndex && a.index < b.index) ? a : b;
+  const walk = reference.forward ? 1 : -1;
+
+  const order =
+    compareAlong(coordsByLine, a, b, walk) ||
+    -compareAlong(coordsByLine, a, b, -walk) ||
+    a.lineIndex - b.lineIndex ||
+    a.index - b.index;
+  return order * walk;
+}
+
+// ==================== 🛤️ 共線偏移 (Line Bundling) ====================
+
+/**
+ * 🛤️ 計算共用路段的平行偏移 (Bundle Line Edges)
+ *
+ * 相鄰節點不是單位水平、垂直或斜向移動的路段不參與共線判斷（偏移量為 0）。
+ * 同一條路線重複經過同一路段時，每次經過各佔一個位置。
+ *
+ * @param {Array<Object>} lines - 處理後的捷運數據（`[{ name, color, nodes: [{ coord }] }]`）
+ * @returns {{ nodeOffsets: Array<Array<{in: number|null, out: number|null}>>, sharedEdges: Array<Object> }}
+ *   nodeOffsets 為每個節點進入（in）與離開（out）路段的偏移量，起點的 in 與終點的 out 為 null
+ *   （環狀線的首尾節點相接）；sharedEdges 為共用路段 `{ id, from, to, lines }`，
+ *   lines 為路線索引，依路段正方向（from → to）由左到右排列
+ */
+export function bundleLineEdges(lines) {
+  const coordsByLine = lines.map((line) =>
+    Array.isArray(line?.nodes) ? line.nodes.map((node) => node.coord) : []
+  );
+
+  // 收集每段網格邊經過的路線；路段正方向為 x 遞增（垂直路段為 y 遞增）
+  const edges = new Map();
+  coordsByLine.forEach((coords, lineIndex) => {
+    for (let index = 0; index < coords.length - 1; index++) {
+      const start = coords[index];
+      const end = coords[index + 1];
+      if (getStepDirection(start, end) === null) continue;
+
+      const forward = start.x < end.x || (start.x === end.x && start.y < end.y);
+      const from = forward ? start : end;
+      const to = forward ? end : start;
+      const key = `${from.x}_${from.y}_${to.x}_${to.y}`;
+
+      if (!edges.has(key)) edges.set(key, { key, from, to, traversals: [] });
+      edges.get(key).traversals.push({ lineIndex, index, forward });
+    }
+  });
+
+  // 每條路線每個路段的偏移量（行進方向左側為正）
+  const edgeOffsets = coordsByLine.map((coords) =>
+    new Array(Math.max(coords.length - 1, 0)).fill(0)
+  );
+  const sharedEdges = [];
+
+  edges.forEach((edge) => {
+    if (edge.traversals.length < 2) return;
+
+    const ordered = [...edge.traversals].sort((a, b) => compareTraversals(coordsByLine, a, b));
+    const center = (ordered.length - 1) / 2;
+    ordered.forEach((traversal, slot) => {
+      const offset = center - slot;
+      edgeOffsets[traversal.lineIndex][traversal.index] = traversal.forward ? offset : -offset;
+    });
+
+    sharedEdges.push({
+      id: `edge_${edge.key}`,
+      from: { ...edge.from },
+      to: { ...edge.to },
+      lines: ordered.map((traversal) => traversal.lineIndex),
+    });
+  });
+
+  const nodeOffsets = coordsByLine.map((coords, lineIndex) => {
+    const offsets = edgeOffsets[lineIndex];
+    const isLoop = coords.length > 3 && isSameCoord(coords[0], coords[coords.length - 1]);
+
+    return coords.map((coord, index) => {
+      let offsetIn = index > 0 ? offsets[index - 1] : null;
+      let offsetOut = index < offsets.length ? offsets[index] : null;
+      if (isLoop && index === 0) offsetIn = offsets[offsets.length - 1];
+      if (isLoop && index === coords.length - 1) offsetOut = offsets[0];
+      return { in: offsetIn, out: offsetOut };
+    });
+  });
+
+  return { nodeOffsets, sharedEdges };
+}
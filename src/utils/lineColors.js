@@ -0,0 +1,66 @@
+/**
+ * 🎨 路線顏色模組 (Line Color Module)
+ *
+ * 集中定義示意圖路線可使用的顏色名稱與對應色碼。D3jsTab.vue 繪製路線時以此表
+ * 將 JSON 中的顏色名稱轉換為實際色碼，驗證器則以此判斷路線顏色是否可辨識。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * LINE_COLOR_MAP.red; // '#ff0000'
+ * isKnownLineColor('blue'); // true
+ * isKnownLineColor('#e3002c'); // true（十六進位色碼一律視為可辨識）
+ * isKnownLineColor('navy'); // false
+ * ```
+ *
+ * @file lineColors.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 🎨 路線顏色對照表 (Line Color Map)
+ *
+ * 鍵為示意圖 JSON 中使用的顏色名稱，值為繪製時使用的色碼。
+ *
+ * @type {Object.<string, string>}
+ */
+export const LINE_COLOR_MAP = {
+  red: '#ff0000',
+  lightpink: '#ffb3ba',
+  blue: '#0066cc',
+  green: '#00aa44',
+  lightgreen: '#90ee90',
+  orange: '#ff8800',
+  brown: '#8b4513',
+  yellow: '#ffcc00',
+  purple: '#800080',
+  paleturquoise: '#afeeee',
+  limegreen: '#32cd32',
+};
+
+/**
+ * 🔢 十六進位色碼格式 (Hex Color Pattern)
+ *
+ * 支援 `#rgb` 與 `#rrggbb`。
+ *
+ * @type {RegExp}
+ */
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// ==================== 🔧 工具函數 (Utility Functions) ====================
+
+/**
+ * 🔍 判斷路線顏色是否可辨識 (Is Known Line Color)
+ *
+ * @param {string} color - 路線顏色（顏色名稱或十六進位色碼）
+ * @returns {boolean} 是否為 LINE_COLOR_MAP 中的名稱或合法的十六進位色碼
+ */
+export function isKnownLineColor(color) {
+  if (typeof color !== 'string') return false;
+  return (
+    Object.prototype.hasOwnProperty.call(LINE_COLOR_MAP, color) || HEX_COLOR_PATTERN.test(color)
+  );
+}
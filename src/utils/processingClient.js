@@ -0,0 +1,100 @@
+/**
+ * 🧵 數據處理 Worker 客戶端 (Processing Worker Client)
+ *
+ * 主執行緒端的 Worker 呼叫介面：每個任務建立一個專用 Worker（processingWorker.js），
+ * 轉發進度事件、還原以 Float64Array 傳回的節點數值，並在 AbortSignal 取消時終止 Worker。
+ * 瀏覽器不支援 Worker 或 Worker 無法啟動時，改用 fallback 在主執行緒處理。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const result = await runInProcessingWorker(
+ *   PROCESSING_TASKS.GRID,
+ *   { jsonData, options: { seed: 42 } },
+ *   { signal, onProgress: (progress, message) => {}, fallback: runProcessingTask }
+ * );
+ * ```
+ *
+ * @file processingClient.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { unpackNodeValues, WORKER_MESSAGES } from './processingProtocol.js';
+
+/**
+ * 🧵 建立處理 Worker (Create Processing Worker)
+ *
+ * webpack 會依 `new URL(..., import.meta.url)` 把 processingWorker.js 打包成獨立檔案。
+ *
+ * @returns {Worker|null} Worker 實例；環境不支援時為 null
+ */
+function createProcessingWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./processingWorker.js', import.meta.url));
+  } catch (error) {
+    console.warn('⚠️ 無法建立數據處理 Worker，改在主執行緒處理:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 🚀 在 Worker 中執行處理任務 (Run Task in Processing Worker)
+ *
+ * @param {string} task - 處理任務（見 PROCESSING_TASKS）
+ * @param {Object} payload - 任務內容 `{ jsonData, options }`，需可被結構化複製
+ * @param {Object} [options] - 執行選項
+ * @param {AbortSignal} [options.signal] - 取消訊號，取消時終止 Worker 並拋出 AbortError
+ * @param {Function} [options.onProgress] - 進度回呼 `(progress: 0 ~ 100, message: string) => void`
+ * @param {Function} options.fallback - 無法使用 Worker 時的處理函數 `(task, payload, onProgress)`
+ * @returns {Promise<Object>} 處理結果（含原始 jsonData；由 Worker 處理時另含 resultSize 位元組數）
+ * @throws {Error} 處理失敗時拋出 Worker 回報的錯誤；取消時拋出 AbortError
+ */
+export function runInProcessingWorker(task, payload, options = {}) {
+  const { signal, onProgress, fallback } = options;
+  const runFallback = () => fallback(task, payload, onProgress);
+
+  if (signal?.aborted) {
+    return Promise.reject(new DOMException('載入已取消', 'AbortError'));
+  }
+
+  const worker = createProcessingWorker();
+  if (!worker) return runFallback();
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(new DOMException('載入已取消', 'AbortError'));
+    };
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === WORKER_MESSAGES.PROGRESS) {
+        onProgress?.(message.progress, message.message);
+      } else if (message.type === WORKER_MESSAGES.RESULT) {
+        finish();
+        const result = unpackNodeValues(message.result, message.nodeValues);
+        resolve({ jsonData: payload.jsonData, ...result, resultSize: message.size });
+      } else if (message.type === WORKER_MESSAGES.ERROR) {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    // Worker 腳本無法載入等非預期錯誤：改在主執行緒處理
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      finish();
+      console.warn('⚠️ 數據處理 Worker 發生錯誤，改在主執行緒處理:', event.message);
+      runFallback().then(resolve, reject);
+    };
+
+    worker.postMessage({ type: WORKER_MESSAGES.RUN, task, payload });
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * 📨 數據處理 Worker 訊息協定 (Processing Worker Message Protocol)
+ *
+ * 定義主執行緒（processingClient.js）與處理 Worker（processingWorker.js）之間的訊息格式，
+ * 以及節點數值的打包／還原。大型網格（例如 500×500）的節點數值改以 Float64Array
+ * 傳回並轉移（transfer）其 buffer，減少結構化複製的成本。
+ *
+ * 📋 訊息格式 (Messages):
+ * ```javascript
+ * // 主執行緒 → Worker（每個 Worker 只處理一個任務）
+ * { type: 'run', task: 'grid' | 'metro', payload: { jsonData, options } }
+ *
+ * // Worker → 主執行緒
+ * { type: 'progress', progress: 0 ~ 100, message: '生成網格節點' }
+ * { type: 'result', result, nodeValues: Float64Array | null, size: number }
+ * { type: 'error', message: '錯誤訊息' }
+ * ```
+ *
+ * result 不含 jsonData（主執行緒已有原始數據，由 processingClient 放回）；
+ * nodeValues 不為 null 時，result 內節點的 value 已被移除，需以 unpackNodeValues 還原。
+ * size 為完整結果以 JSON 序列化後的位元組數，processingClient 放在結果的 resultSize。
+ *
+ * @file processingProtocol.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 📨 訊息類型 (Message Types)
+ *
+ * @type {{ RUN: string, PROGRESS: string, RESULT: string, ERROR: string }}
+ */
+export const WORKER_MESSAGES = {
+  RUN: 'run',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+/**
+ * 🧩 處理任務 (Processing Tasks)
+ *
+ * - GRID：processGridSchematicJson + processGridToDrawData
+ * - METRO：processDataLayerJson + processMetroToDrawData
+ *
+ * @type {{ GRID: string, METRO: string }}
+ */
+export const PROCESSING_TASKS = {
+  GRID: 'grid',
+  METRO: 'metro',
+};
+
+// ==================== 🔢 節點數值打包 (Node Value Packing) ====================
+
+/**
+ * 📋 取得帶有數值的節點清單 (Collect Value Node Lists)
+ *
+ * 處理後數據與繪製數據的節點順序相同（網格為 y 再 x，捷運為逐條路線），
+ * 因此同一個 Float64Array 可以同時還原兩份節點。dataTableData 與處理後數據
+ * 共用同一批節點物件，不需要另外處理。
+ *
+ * @param {Object} result - 處理結果（processedJsonData、drawJsonData）
+ * @returns {Array<Array<Object>>} 順序一致的節點陣列（第一個為處理後數據的節點）
+ */
+function collectValueNodeLists(result) {
+  const processed = result?.processedJsonData;
+  const sourceNodes = Array.isArray(processed)
+    ? processed.flatMap((line) => (Array.isArray(line?.nodes) ? line.nodes : []))
+    : processed?.nodes;
+  if (!Array.isArray(sourceNodes) || sourceNodes.length === 0) return [];
+
+  const drawNodes = result.drawJsonData?.nodes;
+  return Array.isArray(drawNodes) && drawNodes.length === sourceNodes.length
+    ? [sourceNodes, drawNodes]
+    : [sourceNodes];
+}
+
+/**
+ * 📦 打包節點數值 (Pack Node Values)
+ *
+ * 把節點 value 搬到 Float64Array（null 以 NaN 表示），並從節點物件中移除。
+ * 只有所有數值都是有限數字或 null 時才打包；含有字串等其他值時維持原樣傳送。
+ *
+ * @param {Object} result - 處理結果（會被修改）
+ * @returns {Float64Array|null} 節點數值；無法打包時為 null
+ */
+export function packNodeValues(result) {
+  const lists = collectValueNodeLists(result);
+  if (lists.length === 0) return null;
+
+  const [sourceNodes] = lists;
+  const isPackable = sourceNodes.every(
+    (node) => node.value === null || node.value === undefined || Number.isFinite(node.value)
+  );
+  if (!isPackable) return null;
+
+  const values = new Float64Array(sourceNodes.length);
+  sourceNodes.forEach((node, index) => {
+    values[index] = node.value ?? NaN;
+  });
+  lists.forEach((nodes) => nodes.forEach((node) => delete node.value));
+  return values;
+}
+
+/**
+ * 📥 還原節點數值 (Unpack Node Values)
+ *
+ * @param {Object} result - Worker 傳回的處理結果（會被修改）
+ * @param {Float64Array|null} values - packNodeValues 產生的節點數值
+ * @returns {Object} 還原數值後的處理結果
+ */
+export function unpackNodeValues(result, values) {
+  if (!values) return result;
+
+  collectValueNodeLists(result).forEach((nodes) =>
+    nodes.forEach((node, index) => {
+      node.value = Number.isNaN(values[index]) ? null : values[index];
+    })
+  );
+  return result;
+}
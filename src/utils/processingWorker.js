@@ -0,0 +1,42 @@
+/* eslint-env worker */
+/**
+ * 🧵 數據處理 Worker (Processing Worker)
+ *
+ * 在獨立執行緒中執行圖層載入後的數據處理（processGridSchematicJson、processDataLayerJson
+ * 與對應的繪製數據函數），避免大型網格處理時凍結畫面。由 processingClient.js 建立，
+ * 每個 Worker 只處理一個任務，完成或取消後即被終止。訊息格式見 processingProtocol.js。
+ * 結果序列化後的大小也在這裡計算，主執行緒寫入圖層快取時直接使用，不必再序列化一次。
+ *
+ * @file processingWorker.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { runProcessingTask } from './layerProcessing.js';
+import { packNodeValues, WORKER_MESSAGES } from './processingProtocol.js';
+
+self.onmessage = async (event) => {
+  const { type, task, payload } = event.data || {};
+  if (type !== WORKER_MESSAGES.RUN) return;
+
+  try {
+    const result = await runProcessingTask(task, payload, (progress, message) => {
+      self.postMessage({ type: WORKER_MESSAGES.PROGRESS, progress, message });
+    });
+
+    // 完整結果（含原始數據）的大小，作為圖層快取大小
+    const size = new Blob([JSON.stringify(result)]).size;
+
+    // 原始數據主執行緒已有，不再傳回
+    delete result.jsonData;
+
+    const nodeValues = packNodeValues(result);
+    self.postMessage(
+      { type: WORKER_MESSAGES.RESULT, result, nodeValues, size },
+      nodeValues ? [nodeValues.buffer] : []
+    );
+  } catch (error) {
+    self.postMessage({ type: WORKER_MESSAGES.ERROR, message: error.message });
+  }
+};
@@ -0,0 +1,198 @@
+/**
+ * 🎲 可重現隨機數模組 (Reproducible Random Number Module)
+ *
+ * 提供可設定種子的偽隨機數產生器（PRNG），讓網格與捷運節點的數值在相同種子下
+ * 每次都產生完全相同的結果。這樣同一個圖層的 processedJsonData、dashboardData
+ * 與 drawJsonData 都可以被重現，方便截圖比對與問題回報。
+ *
+ * 功能說明 (Features):
+ * 1. 🌱 種子正規化：支援數字與字串種子，統一轉換為 32 位元整數
+ * 2. 🎲 Mulberry32 產生器：體積小、速度快、分布均勻的 PRNG
+ * 3. ⚖️ 權重隨機值：依權重表產生 0 ~ (權重數 - 1) 的整數
+ * 4. 🔗 URL 覆寫：支援 `?seed=` 及 `?seed.<layerId>=` 查詢參數覆寫圖層種子
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const rng = createSeededRandom(resolveLayerSeed(layer));
+ * const value = generateWeightedRandomValue(rng, layer.valueWeights);
+ * ```
+ *
+ * @file random.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * ⚖️ 預設數值權重表 (Default Value Weights)
+ *
+ * 權重比例：9:8:7:6:5:4:3:2:1:1（對應數值 0:1:2:3:4:5:6:7:8:9）
+ * 數值越高機率越低，數值越低機率越高。陣列長度決定可產生的數值範圍。
+ *
+ * @type {number[]}
+ */
+export const DEFAULT_VALUE_WEIGHTS = [9, 8, 7, 6, 5, 4, 3, 2, 1, 1];
+
+/**
+ * 🌱 預設種子 (Default Seed)
+ *
+ * 圖層未設定 seed 時使用的種子，確保即使沒有配置也能得到穩定結果。
+ *
+ * @type {number}
+ */
+export const DEFAULT_SEED = 20251007;
+
+// ==================== 🔧 種子處理 (Seed Handling) ====================
+
+/**
+ * 🌱 正規化種子 (Normalize Seed)
+ *
+ * 將數字或字串種子轉換為無號 32 位元整數。數字字串（如 URL 參數 "42"）
+ * 視為數字，其他字串則使用 FNV-1a 雜湊轉換。
+ *
+ * @param {number|string} seed - 原始種子
+ * @returns {number} 無號 32 位元整數種子
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  const text = String(seed ?? '').trim();
+  if (/^-?\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a 雜湊
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 🔗 從網址讀取種子覆寫值 (Read Seed Override from URL)
+ *
+ * 依序檢查 `?seed.<layerId>=` 與 `?seed=`，前者只影響指定圖層，後者影響所有圖層。
+ * 沒有 window 的環境（例如 Web Worker）回傳 null，此時應由呼叫端先解析好種子。
+ *
+ * @param {string} [layerId] - 圖層 ID
+ * @returns {string|null} 覆寫的種子字串，沒有覆寫時為 null
+ */
+export function getSeedOverrideFromUrl(layerId) {
+  if (typeof window === 'undefined' || !window.location) return null;
+
+  const params = new URLSearchParams(window.location.search);
+  if (layerId && params.has(`seed.${layerId}`)) {
+    return params.get(`seed.${layerId}`);
+  }
+  if (params.has('seed')) {
+    return params.get('seed');
+  }
+  return null;
+}
+
+/**
+ * 🎯 解析圖層實際使用的種子 (Resolve Layer Seed)
+ *
+ * 優先順序：URL 覆寫 > 圖層配置的 seed > DEFAULT_SEED
+ *
+ * @param {Object} [layer] - 圖層配置對象
+ * @param {string} [layer.layerId] - 圖層 ID
+ * @param {number|string} [layer.seed] - 圖層種子
+ * @returns {number} 正規化後的種子
+ */
+export function resolveLayerSeed(layer = {}) {
+  const override = getSeedOverrideFromUrl(layer.layerId);
+  if (override !== null && override !== '') {
+    return normalizeSeed(override);
+  }
+  if (layer.seed !== undefined && layer.seed !== null && layer.seed !== '') {
+    return normalizeSeed(layer.seed);
+  }
+  return DEFAULT_SEED;
+}
+
+// ==================== 🎲 隨機數產生 (Random Number Generation) ====================
+
+/**
+ * 🎲 建立可設定種子的隨機數產生器 (Create Seeded Random Generator)
+ *
+ * 使用 Mulberry32 演算法，回傳一個與 Math.random 相同介面的函數（回傳 [0, 1) 浮點數）。
+ * 相同種子產生的序列完全相同。
+ *
+ * @param {number|string} seed - 種子
+ * @returns {function(): number} 隨機數產生函數
+ *
+ * @example
+ * const rng = createSeededRandom(42);
+ * rng(); // 每次以 42 建立都會得到相同的序列
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * ⚖️ 正規化權重表 (Normalize Weights)
+ *
+ * 過濾無效權重（負數、非數字），若結果為空或總和為 0，回傳預設權重表。
+ *
+ * @param {number[]} [weights] - 權重表
+ * @returns {number[]} 可用的權重表
+ */
+export function normalizeWeights(weights) {
+  if (!Array.isArray(weights) || weights.length === 0) {
+    return DEFAULT_VALUE_WEIGHTS;
+  }
+
+  const cleaned = weights.map((weight) => {
+    const num = Number(weight);
+    return Number.isFinite(num) && num > 0 ? num : 0;
+  });
+
+  return cleaned.some((weight) => weight > 0) ? cleaned : DEFAULT_VALUE_WEIGHTS;
+}
+
+/**
+ * 🎲 生成符合機率分布的隨機數 (Generate Weighted Random Number)
+ *
+ * 根據權重表生成隨機數，實現非均勻分布。索引 i 的權重代表數值 i 的相對機率。
+ *
+ * @param {function(): number} [rng=Math.random] - 隨機數產生函數
+ * @param {number[]} [weights=DEFAULT_VALUE_WEIGHTS] - 權重表
+ * @returns {number} 0 ~ (weights.length - 1) 之間的整數
+ */
+export function generateWeightedRandomValue(rng = Math.random, weights = DEFAULT_VALUE_WEIGHTS) {
+  const validWeights = normalizeWeights(weights);
+  const totalWeight = validWeights.reduce((sum, weight) => sum + weight, 0);
+
+  // 生成 0 到總權重之間的隨機數
+  let random = rng() * totalWeight;
+
+  // 根據權重分配確定返回的數值
+  for (let i = 0; i < validWeights.length; i++) {
+    if (validWeights[i] === 0) continue;
+    random -= validWeights[i];
+    if (random < 0) {
+      return i;
+    }
+  }
+
+  // 浮點誤差時返回最後一個有權重的數值
+  for (let i = validWeights.length - 1; i >= 0; i--) {
+    if (validWeights[i] > 0) return i;
+  }
+  return 0;
+}
@@ -0,0 +1,335 @@
+/**
+ * 🧭 示意圖節點類型編碼模組 (Schematic Node Type Encoding Module)
+ *
+ * 集中定義捷運示意圖節點的 type 編碼規則，並提供從座標序列推算 type 的工具。
+ * 這套編碼與 D3jsTab.vue 的 drawAdministrativeSchematic / setLinkData 完全一致，
+ * 任何產生或檢查節點 type 的程式（匯入器、驗證器等）都應該使用這裡的函數。
+ *
+ * 📐 方向代碼 (Direction Codes)：
+ * - 1: +x（往右）
+ * - 2: -y（往下，y 比例尺為反向，y = 0 在底部）
+ * - 3: -x（往左）
+ * - 4: +y（往上）
+ * - 5 ~ 8：斜向（45°），依序為 1 ~ 4 順時針轉 45°：
+ *   5 = +x -y（右下）、6 = -x -y（左下）、7 = -x +y（左上）、8 = +x +y（右上）
+ *
+ * 🔢 節點類型 (Node Types)：
+ * - 1 ~ 4：直線，type 等於行進方向（1/3 為水平、2/4 為垂直）
+ * - 5 ~ 8：端點，只畫出半段：5 往 -x、6 往 +x、7 往 +y、8 往 -y
+ * - 兩位數：轉角，十位數為進入方向、個位數為離開方向
+ *   （12, 21, 14, 41, 23, 32, 34, 43）
+ * - 55、66、77、88：斜向直線（方向代碼重複兩次）
+ * - 95 ~ 98：斜向端點，半段往個位數的斜向方向
+ * - 其他兩位數（十位數或個位數為 5 ~ 8）：含斜向路段的轉折，轉 45°、90° 或 135°
+ *   （例如 15 = 往右後轉往右下、58 = 往右下後轉往右上）；折返（轉 180°）無法表示
+ *
+ * 直線與端點的 1 ~ 8 及水平、垂直轉角維持原本的編碼，既有的數據不需要修改。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const types = encodeLineNodeTypes([
+ *   { x: 0, y: 0 },
+ *   { x: 1, y: 0 },
+ *   { x: 1, y: 1 },
+ * ]);
+ * // => [6, 14, 8]
+ * ```
+ *
+ * @file schematicEncoding.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 📐 方向代碼 (Direction Codes)
+ *
+ * @type {Object}
+ * @property {number} PLUS_X - 往 +x 移動
+ * @property {number} MINUS_Y - 往 -y 移動
+ * @property {number} MINUS_X - 往 -x 移動
+ * @property {number} PLUS_Y - 往 +y 移動
+ * @property {number} PLUS_X_MINUS_Y - 往 +x -y 斜向移動
+ * @property {number} MINUS_X_MINUS_Y - 往 -x -y 斜向移動
+ * @property {number} MINUS_X_PLUS_Y - 往 -x +y 斜向移動
+ * @property {number} PLUS_X_PLUS_Y - 往 +x +y 斜向移動
+ */
+export const DIRECTIONS = {
+  PLUS_X: 1,
+  MINUS_Y: 2,
+  MINUS_X: 3,
+  PLUS_Y: 4,
+  PLUS_X_MINUS_Y: 5,
+  MINUS_X_MINUS_Y: 6,
+  MINUS_X_PLUS_Y: 7,
+  PLUS_X_PLUS_Y: 8,
+};
+
+/**
+ * 📏 方向對應的單位位移 (Direction Offsets)
+ *
+ * @type {Object.<number, {dx: number, dy: number}>}
+ */
+export const DIRECTION_OFFSETS = {
+  [DIRECTIONS.PLUS_X]: { dx: 1, dy: 0 },
+  [DIRECTIONS.MINUS_Y]: { dx: 0, dy: -1 },
+  [DIRECTIONS.MINUS_X]: { dx: -1, dy: 0 },
+  [DIRECTIONS.PLUS_Y]: { dx: 0, dy: 1 },
+  [DIRECTIONS.PLUS_X_MINUS_Y]: { dx: 1, dy: -1 },
+  [DIRECTIONS.MINUS_X_MINUS_Y]: { dx: -1, dy: -1 },
+  [DIRECTIONS.MINUS_X_PLUS_Y]: { dx: -1, dy: 1 },
+  [DIRECTIONS.PLUS_X_PLUS_Y]: { dx: 1, dy: 1 },
+};
+
+/**
+ * 🔚 端點類型對照表 (End Cap Types)
+ *
+ * 鍵為端點半段線條朝向的方向（即相鄰節點所在方向），值為端點 type。
+ *
+ * @type {Object.<number, number>}
+ */
+export const END_CAP_TYPES = {
+  [DIRECTIONS.MINUS_X]: 5,
+  [DIRECTIONS.PLUS_X]: 6,
+  [DIRECTIONS.PLUS_Y]: 7,
+  [DIRECTIONS.MINUS_Y]: 8,
+  [DIRECTIONS.PLUS_X_MINUS_Y]: 95,
+  [DIRECTIONS.MINUS_X_MINUS_Y]: 96,
+  [DIRECTIONS.MINUS_X_PLUS_Y]: 97,
+  [DIRECTIONS.PLUS_X_PLUS_Y]: 98,
+};
+
+/**
+ * ↪️ 水平、垂直之間的轉角類型 (Orthogonal Corner Types)
+ *
+ * @type {number[]}
+ */
+export const CORNER_TYPES = [12, 21, 14, 41, 23, 32, 34, 43];
+
+/**
+ * 判斷是否為斜向方向代碼
+ *
+ * @param {number} direction - 方向代碼
+ * @returns {boolean} 是否為斜向（5 ~ 8）
+ */
+function isDiagonalDirection(direction) {
+  return direction >= DIRECTIONS.PLUS_X_MINUS_Y && direction <= DIRECTIONS.PLUS_X_PLUS_Y;
+}
+
+/**
+ * 判斷是否為方向代碼
+ *
+ * @param {number} direction - 方向代碼
+ * @returns {boolean} 是否為 1 ~ 8
+ */
+function isDirection(direction) {
+  return Number.isInteger(direction) && direction >= 1 && direction <= 8;
+}
+
+// ==================== 🔧 編碼函數 (Encoding Functions) ====================
+
+/**
+ * 📐 取得兩個相鄰座標的移動方向 (Get Step Direction)
+ *
+ * @param {{x: number, y: number}} from - 起點座標
+ * @param {{x: number, y: number}} to - 終點座標
+ * @returns {number|null} 方向代碼；若不是單位水平、垂直或斜向移動則回傳 null
+ */
+export function getStepDirection(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+
+  const direction = Object.keys(DIRECTION_OFFSETS).find(
+    (key) => DIRECTION_OFFSETS[key].dx === dx && DIRECTION_OFFSETS[key].dy === dy
+  );
+  return direction === undefined ? null : Number(direction);
+}
+
+/**
+ * 🔄 取得反方向 (Get Opposite Direction)
+ *
+ * @param {number} direction - 方向代碼
+ * @returns {number} 反方向代碼
+ */
+export function getOppositeDirection(direction) {
+  if (isDiagonalDirection(direction)) return ((direction - 3) % 4) + 5;
+  return ((direction + 1) % 4) + 1;
+}
+
+/**
+ * 🧭 解析節點類型 (Decode Node Type)
+ *
+ * @param {number} type - 節點類型
+ * @returns {{ kind: 'straight'|'cap'|'bend', in: number|null, out: number|null, cap: number|null }|null}
+ *   直線與轉折的進入（in）與離開（out）方向；端點的半段方向（cap）。無法辨識時回傳 null
+ */
+export function decodeNodeType(type) {
+  if (!Number.isInteger(type)) return null;
+
+  // 水平、垂直直線
+  if (type >= 1 && type <= 4) return { kind: 'straight', in: type, out: type, cap: null };
+
+  // 端點（水平、垂直與斜向）
+  const capDirection = Object.keys(END_CAP_TYPES).find((key) => END_CAP_TYPES[key] === type);
+  if (capDirection !== undefined) {
+    return { kind: 'cap', in: null, out: null, cap: Number(capDirection) };
+  }
+
+  const inDirection = Math.floor(type / 10);
+  const outDirection = type % 10;
+  if (type >= 100 || !isDirection(inDirection) || !isDirection(outDirection)) return null;
+
+  // 斜向直線
+  if (inDirection === outDirection) {
+    return isDiagonalDirection(inDirection)
+      ? { kind: 'straight', in: inDirection, out: outDirection, cap: null }
+      : null;
+  }
+
+  // 折返無法表示
+  if (outDirection === getOppositeDirection(inDirection)) return null;
+
+  return { kind: 'bend', in: inDirection, out: outDirection, cap: null };
+}
+
+/**
+ * 🔢 由進入與離開方向計算節點類型 (Encode Node Type)
+ *
+ * @param {number|null} inDirection - 進入此節點時的行進方向（起點為 null）
+ * @param {number|null} outDirection - 離開此節點時的行進方向（終點為 null）
+ * @returns {number|null} 節點類型；無法編碼（例如折返）時回傳 null
+ */
+export function encodeNodeType(inDirection, outDirection) {
+  // 起點：半段線條朝向下一個節點
+  if (inDirection === null && outDirection !== null) {
+    return END_CAP_TYPES[outDirection];
+  }
+
+  // 終點：半段線條朝向上一個節點（行進方向的反方向）
+  if (inDirection !== null && outDirection === null) {
+    return END_CAP_TYPES[getOppositeDirection(inDirection)];
+  }
+
+  if (inDirection === null || outDirection === null) return null;
+
+  // 直線：水平、垂直為方向代碼，斜向為方向代碼重複兩次
+  if (inDirection === outDirection) {
+    return isDiagonalDirection(inDirection) ? inDirection * 11 : inDirection;
+  }
+
+  // 折返無法表示
+  if (outDirection === getOppositeDirection(inDirection)) return null;
+
+  // 轉角與含斜向路段的轉折
+  return inDirection * 10 + outDirection;
+}
+
+/**
+ * 🧮 計算整條路線的節點類型 (Encode Line Node Types)
+ *
+ * 座標序列中相鄰兩點必須是單位水平、垂直或斜向移動，否則對應節點的 type 為 null。
+ * 首尾座標相同時視為環狀路線，首尾節點依環繞方向編碼。
+ *
+ * @param {Array<{x: number, y: number}>} coords - 路線的座標序列
+ * @returns {Array<number|null>} 與座標序列等長的節點類型陣列
+ */
+export function encodeLineNodeTypes(coords) {
+  if (!Array.isArray(coords) || coords.length < 2) {
+    return (coords || []).map(() => null);
+  }
+
+  const steps = [];
+  for (let i = 0; i < coords.length - 1; i++) {
+    steps.push(getStepDirection(coords[i], coords[i + 1]));
+  }
+
+  // 環狀線：首尾座標相同時，首尾節點視為直線或轉角而不是端點
+  // （最小的環是 3 格加上回到起點，共 4 個座標，需要斜向移動；只有水平、垂直時至少 5 個）
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  const isLoop = coords.length > 3 && first.x === last.x && first.y === last.y;
+
+  return coords.map((coord, index) => {
+    let inDirection = index > 0 ? steps[index - 1] : null;
+    let outDirection = index < steps.length ? steps[index] : null;
+
+    if (isLoop && index === 0) inDirection = steps[steps.length - 1];
+    if (isLoop && index === coords.length - 1) outDirection = steps[0];
+
+    // 相鄰段無效時無法推算
+    const hasIn = index > 0 || isLoop;
+    const hasOut = index < steps.length || isLoop;
+    if ((hasIn && inDirection === null) || (hasOut && outDirection === null)) {
+      return null;
+    }
+
+    return encodeNodeType(inDirection, outDirection);
+  });
+}
+
+/**
+ * 🪜 將折線展開為單位步進的正交路徑 (Expand to Orthogonal Unit Steps)
+ *
+ * 將整數網格上的折線轉換為只有水平/垂直單位移動的座標序列：
+ * - 重複的相鄰座標會被合併
+ * - 斜向的線段會拆成 L 形，先走位移較大的軸向
+ * - 立即折返（A → B → A）會被移除
+ *
+ * @param {Array<{x: number, y: number}>} points - 整數網格上的折線頂點
+ * @returns {Array<{x: number, y: number}>} 單位步進的座標序列
+ */
+export function expandToUnitSteps(points) {
+  const result = [];
+
+  const pushPoint = (point) => {
+    const last = result[result.length - 1];
+    if (last && last.x === point.x && last.y === point.y) return;
+
+    // 折返：回到前前一個點時，移除中間的點
+    const beforeLast = result[result.length - 2];
+    if (beforeLast && beforeLast.x === point.x && beforeLast.y === point.y) {
+      result.pop();
+      return;
+    }
+
+    result.push({ x: point.x, y: point.y });
+  };
+
+  points.forEach((point, index) => {
+    if (index === 0) {
+      pushPoint(point);
+      return;
+    }
+
+    const current = result[result.length - 1];
+    const dx = point.x - current.x;
+    const dy = point.y - current.y;
+    const stepX = Math.sign(dx);
+    const stepY = Math.sign(dy);
+
+    const walkX = () => {
+      const { y } = result[result.length - 1];
+      for (let x = result[result.length - 1].x + stepX; x !== point.x + stepX; x += stepX) {
+        pushPoint({ x, y });
+      }
+    };
+    const walkY = () => {
+      const { x } = result[result.length - 1];
+      for (let y = result[result.length - 1].y + stepY; y !== point.y + stepY; y += stepY) {
+        pushPoint({ x, y });
+      }
+    };
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      if (stepX !== 0) walkX();
+      if (stepY !== 0) walkY();
+    } else {
+      if (stepY !== 0) walkY();
+      if (stepX !== 0) walkX();
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,288 @@
+/**
+ * 🎯 示意圖要素 (Schematic Features)
+ *
+ * 建立 PropertiesTab 使用的要素（feature）格式，並在要素與「要素參照」之間轉換。
+ * 示意圖（D3jsTab）與資料表格（DataTableTab）點選時建立要素；網址與保存的狀態只記錄參照，
+ * 恢復時再由 resolveFeatureReference 從圖層數據重建，避免把整列節點寫進網址或 localStorage。
+ *
+ * 📋 要素格式 (Feature Format):
+ * ```javascript
+ * {
+ *   properties: {
+ *     id: 'metro_0_3',        // 要素 id（見下方）
+ *     layerId: 'taipei_metro_2',
+ *     station: { name, nameEn }, // 只有車站與轉乘站
+ *     propertyData: { 路線: '淡水信義線', 座標: '(3, 5)' },
+ *     itemColor: '#E3002C',
+ *   },
+ * }
+ * ```
+ *
+ * 🔑 要素 id (Feature IDs):
+ * - `metro_<路線>_<節點>`：捷運路段（與 drawJsonData 的繪製節點 id 相同）
+ * - `interchange_<x>_<y>`：轉乘站（drawJsonData.interchanges）
+ * - `grid_<x>_<y>`：網格格子
+ * - 車站代碼，沒有代碼時為 `<路線名稱>_<x>_<y>`：車站
+ * - 表格列的 `#`（沒有時為 id）：資料表格的列
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const reference = toFeatureReference(feature); // => { layerId: 'taipei_metro_2', id: 'metro_0_3' }
+ * const restored = resolveFeatureReference(dataStore.findLayerById(reference.layerId), reference);
+ * ```
+ *
+ * @file schematicFeatures.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { isStationNode } from './layerProcessing.js';
+import { LINE_COLOR_MAP } from './lineColors.js';
+import { decodeNodeType } from './schematicEncoding.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/** 🧭 節點類型分類名稱 (Node Kind Labels)，分類見 decodeNodeType */
+const NODE_KIND_LABELS = {
+  straight: '直線',
+  cap: '端點',
+  bend: '轉折',
+};
+
+/** 🎨 表格列沒有顏色時的要素顏色 */
+const DEFAULT_ITEM_COLOR = '#6c757d';
+
+// ==================== 🔧 內部工具函數 (Internal Helpers) ====================
+
+/**
+ * 路線顏色名稱轉為色碼
+ *
+ * @param {string} color - 顏色名稱或色碼
+ * @returns {string} 色碼
+ */
+function resolveColor(color) {
+  return LINE_COLOR_MAP[color] || color;
+}
+
+// ==================== 🏗️ 建立要素 (Feature Builders) ====================
+
+/**
+ * 🚉 車站的要素 id：有車站代碼時使用代碼，否則以路線名稱與座標組成
+ *
+ * @param {Object} path - 車站所在路線
+ * @param {Object} node - 車站節點
+ * @returns {string} 要素 id
+ */
+export function getStationFeatureId(path, node) {
+  return node.id ?? `${path.name}_${node.coord.x}_${node.coord.y}`;
+}
+
+/**
+ * 🚉 車站要素 (Station Feature)
+ *
+ * @param {string} layerId - 圖層 ID
+ * @param {Array<Object>} lines - 圖層的所有路線（同一車站可能出現在多條路線上）
+ * @param {Object} path - 車站所在路線
+ * @param {Object} node - 車站節點
+ * @returns {Object} 要素
+ */
+export function buildStationFeature(layerId, lines, path, node) {
+  const { x, y } = node.coord;
+  const isSameStation = (other) =>
+    node.id !== undefined && node.id !== null
+      ? other.id === node.id
+      : other.coord.x === x && other.coord.y === y && isStationNode(other);
+
+  const stationLines = lines
+    .filter((line) => line.nodes.some(isSameStation))
+    .map((line) => line.name);
+
+  return {
+    properties: {
+      id: getStationFeatureId(path, node),
+      layerId,
+      station: {
+        name: node.name ?? null,
+        nameEn: node.nameEn ?? null,
+      },
+      propertyData: {
+        車站代碼: node.id ?? '-',
+        路線: stationLines.join('、') || path.name,
+        座標: `(${x}, ${y})`,
+        數值: node.value ?? '-',
+      },
+      itemColor: resolveColor(path.color),
+    },
+  };
+}
+
+/**
+ * 🔀 轉乘站要素 (Interchange Feature)
+ *
+ * @param {string} layerId - 圖層 ID
+ * @param {Object} interchange - drawJsonData.interchanges 的項目
+ * @returns {Object} 要素
+ */
+export function buildInterchangeFeature(layerId, interchange) {
+  const { x, y } = interchange.coord;
+  const [firstLine] = interchange.lines;
+
+  return {
+    properties: {
+      id: interchange.id,
+      layerId,
+      station: {
+        name: interchange.name ?? null,
+        nameEn: interchange.nameEn ?? null,
+      },
+      propertyData: {
+        車站代碼: interchange.stationId ?? '-',
+        路線: interchange.lines.map((line) => line.name).join('、'),
+        轉乘數: interchange.transferCount,
+        座標: `(${x}, ${y})`,
+      },
+      itemColor: resolveColor(firstLine.color),
+    },
+  };
+}
+
+/**
+ * 🛤️ 捷運路段要素 (Metro Segment Feature)
+ *
+ * @param {string} layerId - 圖層 ID
+ * @param {Object} path - 路線
+ * @param {Object} node - 節點
+ * @param {string} segmentId - 繪製節點 id（metro_路線_節點）
+ * @returns {Object} 要素
+ */
+export function buildSegmentFeature(layerId, path, node, segmentId) {
+  const kind = decodeNodeType(node.type)?.kind;
+
+  return {
+    properties: {
+      id: segmentId,
+      layerId,
+      propertyData: {
+        路線: path.name,
+        座標: `(${node.coord.x}, ${node.coord.y})`,
+        數值: node.value ?? '-',
+        類型: kind ? `${node.type}（${NODE_KIND_LABELS[kind]}）` : `${node.type}`,
+      },
+      itemColor: resolveColor(path.color),
+    },
+  };
+}
+
+/**
+ * 🔢 網格格子要素 (Grid Cell Feature)
+ *
+ * @param {string} layerId - 圖層 ID
+ * @param {Object} node - 網格節點
+ * @param {number|null} value - 顯示的數值（示意圖上包含合併的隱藏行列）
+ * @returns {Object} 要素
+ */
+export function buildGridCellFeature(layerId, node, value) {
+  return {
+    properties: {
+      id: `grid_${node.x}_${node.y}`,
+      layerId,
+      propertyData: {
+        座標: `(${node.x}, ${node.y})`,
+        數值: value ?? '-',
+      },
+    },
+  };
+}
+
+/**
+ * 📋 表格列的要素 id
+ *
+ * @param {Object} item - 表格列
+ * @returns {string|number} 要素 id
+ */
+export function getTableRowId(item) {
+  return item['#'] || item.id || 'unknown';
+}
+
+/**
+ * 📋 表格列要素 (Table Row Feature)
+ *
+ * @param {string} layerId - 圖層 ID
+ * @param {Object} item - dataTableData 的列
+ * @returns {Object} 要素
+ */
+export function buildTableRowFeature(layerId, item) {
+  return {
+    properties: {
+      id: getTableRowId(item),
+      layerId,
+      propertyData: { ...item },
+      itemColor: item.color || DEFAULT_ITEM_COLOR,
+    },
+  };
+}
+
+// ==================== 🔗 要素參照 (Feature References) ====================
+
+/**
+ * 🔗 要素轉為參照 (To Feature Reference)
+ *
+ * 也接受已經是參照的物件，方便讀取舊格式的網址或保存狀態。
+ *
+ * @param {Object|null} feature - 要素或參照
+ * @returns {{ layerId: string, id: string|number }|null} 參照；無法辨識時為 null
+ */
+export function toFeatureReference(feature) {
+  const source = feature?.properties ?? feature;
+  if (typeof source?.layerId !== 'string') return null;
+  if (typeof source.id !== 'string' && typeof source.id !== 'number') return null;
+  return { layerId: source.layerId, id: source.id };
+}
+
+/**
+ * 🔗 從圖層數據重建要素 (Resolve Feature Reference)
+ *
+ * 依 id 的格式在圖層的 processedJsonData、drawJsonData 與 dataTableData 中尋找；
+ * 網格格子的數值為節點本身的數值（不含示意圖上合併的隱藏行列）。
+ *
+ * @param {Object|null} layer - 圖層對象（需已載入）
+ * @param {{ layerId: string, id: string|number }|null} reference - 要素參照
+ * @returns {Object|null} 要素；圖層未載入或找不到時為 null
+ */
+export function resolveFeatureReference(layer, reference) {
+  if (!layer?.isLoaded || !reference || layer.layerId !== reference.layerId) return null;
+
+  const { layerId, id } = reference;
+  const data = layer.processedJsonData;
+  const lines = Array.isArray(data) ? data : [];
+  const key = String(id);
+
+  const interchange = layer.drawJsonData?.interchanges?.find((item) => item.id === id);
+  if (interchange) return buildInterchangeFeature(layerId, interchange);
+
+  const segmentMatch = /^metro_(\d+)_(\d+)$/.exec(key);
+  if (segmentMatch) {
+    const path = lines[Number(segmentMatch[1])];
+    const node = path?.nodes?.[Number(segmentMatch[2])];
+    return node ? buildSegmentFeature(layerId, path, node, key) : null;
+  }
+
+  const cellMatch = /^grid_(\d+)_(\d+)$/.exec(key);
+  if (cellMatch && data?.type === 'grid') {
+    const [x, y] = [Number(cellMatch[1]), Number(cellMatch[2])];
+    const node = data.nodes.find((candidate) => candidate.x === x && candidate.y === y);
+    return node ? buildGridCellFeature(layerId, node, node.value) : null;
+  }
+
+  const row = layer.dataTableData?.find((item) => getTableRowId(item) === id);
+  if (row) return buildTableRowFeature(layerId, row);
+
+  for (const path of lines) {
+    const node = path.nodes?.find(
+      (candidate) => isStationNode(candidate) && getStationFeatureId(path, candidate) === id
+    );
+    if (node) return buildStationFeature(layerId, lines, path, node);
+  }
+  return null;
+}
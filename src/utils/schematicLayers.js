@@ -0,0 +1,169 @@
+/**
+ * 🧩 示意圖繪製圖層 (Schematic Render Layers)
+ *
+ * D3jsTab 先把示意圖整理成一組「繪製圖層」，再交給 SVG 或 Canvas 繪製：
+ * - SVG：以 keyed `selection.join` 依元素 id 更新，只有新增、刪除或改變的元素會變動，
+ *   位置與數值的改變以 transition 過渡；重繪時不需要清除整個 SVG
+ * - Canvas：把同一份圖層依序加入 canvasScene，再整個重新繪製
+ *
+ * 📋 繪製圖層格式 (Layer Format):
+ * ```javascript
+ * {
+ *   name: 'grid-values',        // 圖層名稱，同時作為群組的 class
+ *   tag: 'text',                // 元素種類：line、path、circle、rect、text
+ *   items: [
+ *     {
+ *       id: 'grid_3_5',         // 穩定的元素 id（重繪時用來對應同一個元素）
+ *       attrs: { x, y, fill },  // SVG 屬性；opacity 未設定時為 1
+ *       text: '7',              // text 元素的文字
+ *       className: 'station-label',
+ *       on: { click: (event, item) => {} },
+ *     },
+ *   ],
+ * }
+ * ```
+ *
+ * @file schematicLayers.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import * as d3 from 'd3';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/** 以 transition 過渡的屬性（位置與形狀）；其他屬性（顏色、字型等）立即套用 */
+const ANIMATED_ATTRS = [
+  'x',
+  'y',
+  'width',
+  'height',
+  'x1',
+  'y1',
+  'x2',
+  'y2',
+  'cx',
+  'cy',
+  'r',
+  'd',
+  'transform',
+];
+
+// ==================== 🔧 內部工具函數 (Internal Helpers) ====================
+
+/**
+ * 元素的不透明度
+ *
+ * @param {Object} item - 繪製元素
+ * @returns {number} 不透明度
+ */
+function opacityOf(item) {
+  return item.attrs.opacity ?? 1;
+}
+
+/**
+ * 套用屬性（selection 或 transition 皆可）
+ *
+ * @param {Object} target - d3 selection 或 transition
+ * @param {string[]} keys - 要套用的屬性名稱
+ */
+function applyAttrs(target, keys) {
+  keys.forEach((key) => {
+    target.attr(key, (item) => item.attrs[key] ?? null);
+  });
+}
+
+// ==================== 🧩 SVG 繪製 (SVG Rendering) ====================
+
+/**
+ * 🧩 以 keyed join 更新 SVG (Join SVG Layers)
+ *
+ * 每個圖層對應 root 底下的一個 `g.schematic-layer` 群組（依 layers 的順序排列），
+ * 群組內的元素以 id 對應：新元素淡入、消失的元素淡出後移除、
+ * 既有元素的位置過渡到新位置，文字改變時重新淡入。
+ *
+ * @param {Object} root - 放置圖層群組的 d3 selection（例如 SVG 的縮放群組）
+ * @param {Array<Object>} layers - 繪製圖層
+ * @param {Object} [options] - 選項
+ * @param {number} [options.duration=0] - 過渡時間（毫秒），0 表示直接套用
+ */
+export function joinSvgLayers(root, layers, options = {}) {
+  const duration = options.duration ?? 0;
+
+  const groups = root
+    .selectChildren('g.schematic-layer')
+    .data(layers, (layer) => layer.name)
+    .join('g')
+    .attr('class', (layer) => `schematic-layer ${layer.name}`);
+
+  groups.each(function (layer) {
+    const keys = [...new Set(layer.items.flatMap((item) => Object.keys(item.attrs)))].filter(
+      (key) => key !== 'opacity'
+    );
+    const animatedKeys = keys.filter((key) => ANIMATED_ATTRS.includes(key));
+    const staticKeys = keys.filter((key) => !ANIMATED_ATTRS.includes(key));
+    const eventTypes = [...new Set(layer.items.flatMap((item) => Object.keys(item.on ?? {})))];
+
+    const elements = d3
+      .select(this)
+      .selectAll(layer.tag)
+      .data(layer.items, (item) => item.id)
+      .join(
+        (enter) => {
+          const entered = enter.append(layer.tag).call(applyAttrs, keys);
+          if (layer.tag === 'text') entered.text((item) => item.text ?? '');
+          if (duration > 0) {
+            entered.attr('opacity', 0).transition().duration(duration).attr('opacity', opacityOf);
+          } else {
+            entered.attr('opacity', opacityOf);
+          }
+          return entered;
+        },
+        (update) => {
+          update.call(applyAttrs, staticKeys);
+
+          // 文字改變的元素先變透明，再隨過渡淡入新數值
+          const changedText = update.filter(function (item) {
+            return layer.tag === 'text' && this.textContent !== (item.text ?? '');
+          });
+          changedText.text((item) => item.text ?? '');
+          if (duration > 0) changedText.attr('opacity', 0);
+
+          const target = duration > 0 ? update.transition().duration(duration) : update;
+          target.call(applyAttrs, animatedKeys).attr('opacity', opacityOf);
+          return update;
+        },
+        (exit) =>
+          duration > 0
+            ? exit.transition().duration(duration).attr('opacity', 0).remove()
+            : exit.remove()
+      )
+      .attr('class', (item) => item.className ?? null);
+
+    eventTypes.forEach((type) => {
+      elements.on(type, (event, item) => item.on?.[type]?.(event, item));
+    });
+  });
+}
+
+// ==================== 🖌️ Canvas 繪製 (Canvas Rendering) ====================
+
+/**
+ * 🖌️ 把繪製圖層加入 Canvas 場景 (Append Layers to Canvas Scene)
+ *
+ * @param {Object} scene - canvasScene.js 的 createCanvasScene() 場景
+ * @param {Array<Object>} layers - 繪製圖層
+ */
+export function appendCanvasLayers(scene, layers) {
+  layers.forEach((layer) => {
+    layer.items.forEach((item) => {
+      const element = scene.append(layer.tag);
+      Object.entries(item.attrs).forEach(([key, value]) => element.attr(key, value));
+      if (item.text !== undefined) element.text(item.text);
+      Object.entries(item.on ?? {}).forEach(([type, handler]) => {
+        element.on(type, (event) => handler(event, item));
+      });
+    });
+  });
+}
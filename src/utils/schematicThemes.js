@@ -0,0 +1,65 @@
+/**
+ * 🎨 示意圖配色主題 (Schematic Color Themes)
+ *
+ * D3jsTab 繪製示意圖與圖例使用的顏色。路線顏色不隨主題改變（見 lineColors.js），
+ * 主題只影響背景、網格線、數值文字、車站標記、轉乘站標記與選取要素的外框（SELECTION_STROKE）。
+ *
+ * 🎨 網格數值配色 (Grid Value Colors):
+ * - VALUE_TEXT：節點本身（合併後）的數值
+ * - COLUMN_NEIGHBOR_TEXT：相鄰列（左右）的數值
+ * - ROW_NEIGHBOR_TEXT：相鄰行（上下）的數值
+ *
+ * @file schematicThemes.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+/**
+ * 🎨 配色主題 (Color Themes)
+ *
+ * @type {Object<string, Object<string, string>>}
+ */
+export const SCHEMATIC_THEMES = {
+  dark: {
+    BACKGROUND: '#212121',
+    GRID_LINE: '#666666',
+    GRID_LINE_SECONDARY: '#333333',
+    VALUE_TEXT: '#FFFFFF',
+    COLUMN_NEIGHBOR_TEXT: '#FFD700',
+    ROW_NEIGHBOR_TEXT: '#00CED1',
+    STATION_MARKER_STROKE: '#FFFFFF',
+    STATION_LABEL_FILL: '#FFFFFF',
+    STATION_LABEL_HALO: '#212121',
+    INTERCHANGE_FILL: '#FFFFFF',
+    INTERCHANGE_STROKE: '#212121',
+    SELECTION_STROKE: '#00E5FF',
+  },
+  light: {
+    BACKGROUND: '#FFFFFF',
+    GRID_LINE: '#BDBDBD',
+    GRID_LINE_SECONDARY: '#E0E0E0',
+    VALUE_TEXT: '#212121',
+    COLUMN_NEIGHBOR_TEXT: '#B8860B',
+    ROW_NEIGHBOR_TEXT: '#008B8B',
+    STATION_MARKER_STROKE: '#212121',
+    STATION_LABEL_FILL: '#212121',
+    STATION_LABEL_HALO: '#FFFFFF',
+    INTERCHANGE_FILL: '#FFFFFF',
+    INTERCHANGE_STROKE: '#424242',
+    SELECTION_STROKE: '#FF6D00',
+  },
+};
+
+/** 🎨 預設主題名稱 (Default Theme Name) */
+export const DEFAULT_SCHEMATIC_THEME = 'dark';
+
+/**
+ * 🎨 取得配色主題 (Resolve Schematic Theme)
+ *
+ * @param {string} [name] - 主題名稱（'dark'、'light'）
+ * @returns {Object<string, string>} 配色；名稱無法辨識時使用預設主題
+ */
+export function resolveSchematicTheme(name) {
+  return SCHEMATIC_THEMES[name] || SCHEMATIC_THEMES[DEFAULT_SCHEMATIC_THEME];
+}
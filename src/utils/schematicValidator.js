@@ -0,0 +1,176 @@
+/**
+ * 🩺 捷運示意圖驗證模組 (Metro Schematic Validator)
+ *
+ * 檢查 `[{ name, color, nodes: [{ coord, type }] }]` 格式的捷運示意圖數據，
+ * 找出會讓 drawAdministrativeSchematic 畫出斷線或錯誤轉角的節點，並輸出診斷清單。
+ * 驗證不會修改數據，也不會中斷載入；結果交由圖層資訊分頁顯示。
+ *
+ * 🔍 檢查項目 (Checks):
+ * - 路線必須有 nodes 陣列，且至少兩個節點
+ * - 節點座標必須是範圍內的整數（預設 x、y ≥ 0）
+ * - 相鄰節點必須是水平、垂直或斜向（45°）相鄰的格子
+ * - 節點 type 必須與進入、離開方向一致（見 schematicEncoding.js）
+ * - 路線顏色必須是可辨識的顏色（見 lineColors.js）
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * const diagnostics = validateSchematicLines(lines);
+ * // [{ severity: 'error', lineIndex: 0, lineName: '淡水信義線', nodeIndex: 12,
+ * //    coord: { x: 5, y: 7 }, message: 'type 應為 14，實際為 12' }]
+ * ```
+ *
+ * @file schematicValidator.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { decodeNodeType, encodeLineNodeTypes, getStepDirection } from './schematicEncoding.js';
+import { isKnownLineColor } from './lineColors.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 🚦 診斷嚴重程度 (Diagnostic Severity)
+ *
+ * @type {Object}
+ * @property {string} ERROR - 會導致繪製錯誤
+ * @property {string} WARNING - 可以繪製，但結果可能不如預期
+ */
+export const DIAGNOSTIC_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+// ==================== 🔧 輔助函數 (Helper Functions) ====================
+
+/**
+ * 🔍 判斷座標是否為整數座標 (Is Integer Coordinate)
+ *
+ * @param {Object} coord - 節點座標
+ * @returns {boolean} x、y 是否皆為整數
+ */
+function isIntegerCoord(coord) {
+  return !!coord && Number.isInteger(coord.x) && Number.isInteger(coord.y);
+}
+
+// ==================== 🩺 主要函數 (Main Functions) ====================
+
+/**
+ * 🩺 驗證捷運示意圖路線 (Validate Schematic Lines)
+ *
+ * @param {Array<Object>} lines - 示意圖路線陣列
+ * @param {Object} [options] - 驗證選項
+ * @param {Object} [options.bounds] - 座標範圍（包含邊界）
+ * @param {number} [options.bounds.minX=0] - x 最小值
+ * @param {number} [options.bounds.minY=0] - y 最小值
+ * @param {number} [options.bounds.maxX=Infinity] - x 最大值
+ * @param {number} [options.bounds.maxY=Infinity] - y 最大值
+ * @returns {Array<Object>} 診斷清單：{ severity, lineIndex, lineName, nodeIndex, coord, message }，
+ *   路線層級的診斷 nodeIndex 與 coord 為 null
+ */
+export function validateSchematicLines(lines, options = {}) {
+  const bounds = { minX: 0, minY: 0, maxX: Infinity, maxY: Infinity, ...options.bounds };
+  const diagnostics = [];
+
+  if (!Array.isArray(lines)) {
+    return [
+      {
+        severity: DIAGNOSTIC_SEVERITY.ERROR,
+        lineIndex: null,
+        lineName: null,
+        nodeIndex: null,
+        coord: null,
+        message: '數據不是路線陣列',
+      },
+    ];
+  }
+
+  lines.forEach((line, lineIndex) => {
+    const lineName = line?.name || `路線 ${lineIndex + 1}`;
+    const report = (severity, nodeIndex, message) => {
+      const coord = nodeIndex === null ? null : line.nodes[nodeIndex]?.coord || null;
+      diagnostics.push({ severity, lineIndex, lineName, nodeIndex, coord, message });
+    };
+
+    if (!isKnownLineColor(line?.color)) {
+      report(DIAGNOSTIC_SEVERITY.WARNING, null, `無法辨識的路線顏色: ${line?.color ?? '(未設定)'}`);
+    }
+
+    if (!Array.isArray(line?.nodes)) {
+      report(DIAGNOSTIC_SEVERITY.ERROR, null, '路線缺少 nodes 陣列');
+      return;
+    }
+    if (line.nodes.length < 2) {
+      report(DIAGNOSTIC_SEVERITY.WARNING, null, `路線只有 ${line.nodes.length} 個節點`);
+    }
+
+    // 座標：必須是範圍內的整數
+    let hasInvalidCoord = false;
+    line.nodes.forEach((node, nodeIndex) => {
+      if (!isIntegerCoord(node?.coord)) {
+        hasInvalidCoord = true;
+        report(
+          DIAGNOSTIC_SEVERITY.ERROR,
+          nodeIndex,
+          `座標必須是整數: ${JSON.stringify(node?.coord ?? null)}`
+        );
+        return;
+      }
+
+      const { x, y } = node.coord;
+      if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+        report(DIAGNOSTIC_SEVERITY.ERROR, nodeIndex, `座標 (${x}, ${y}) 超出網格範圍`);
+      }
+    });
+
+    // 座標無效時無法判斷相鄰關係與方向
+    if (hasInvalidCoord) return;
+
+    // 相鄰：每一步都必須是單位水平、垂直或斜向移動
+    const coords = line.nodes.map((node) => node.coord);
+    const steps = [];
+    for (let i = 0; i < coords.length - 1; i++) {
+      const step = getStepDirection(coords[i], coords[i + 1]);
+      steps.push(step);
+      if (step === null) {
+        const dx = coords[i + 1].x - coords[i].x;
+        const dy = coords[i + 1].y - coords[i].y;
+        if (dx === 0 && dy === 0) {
+          // 重複節點會疊在同一格，畫面不會斷線
+          report(
+            DIAGNOSTIC_SEVERITY.WARNING,
+            i + 1,
+            `與前一個節點座標重複 (${coords[i].x}, ${coords[i].y})`
+          );
+        } else {
+          report(DIAGNOSTIC_SEVERITY.ERROR, i + 1, `與前一個節點不相鄰（位移 ${dx}, ${dy}）`);
+        }
+      }
+    }
+
+    // 類型：必須是已知類型，且與進出方向一致
+    const expectedTypes = encodeLineNodeTypes(coords);
+    line.nodes.forEach((node, nodeIndex) => {
+      if (decodeNodeType(node.type) === null) {
+        report(DIAGNOSTIC_SEVERITY.ERROR, nodeIndex, `未知的節點 type: ${node.type}`);
+        return;
+      }
+
+      const expected = expectedTypes[nodeIndex];
+      const inStep = nodeIndex > 0 ? steps[nodeIndex - 1] : undefined;
+      const outStep = nodeIndex < steps.length ? steps[nodeIndex] : undefined;
+
+      // 相鄰段已回報過錯誤時不再重複回報
+      if (inStep === null || outStep === null) return;
+
+      if (expected === null) {
+        report(DIAGNOSTIC_SEVERITY.ERROR, nodeIndex, '路線在此節點折返，無法以 type 表示');
+      } else if (node.type !== expected) {
+        report(DIAGNOSTIC_SEVERITY.ERROR, nodeIndex, `type 應為 ${expected}，實際為 ${node.type}`);
+      }
+    });
+  });
+
+  return diagnostics;
+}
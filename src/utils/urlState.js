@@ -0,0 +1,224 @@
+/**
+ * 🔗 網址檢視狀態模組 (URL View State Module)
+ *
+ * 在 dataStore 的檢視狀態（getViewState）與網址查詢參數之間轉換，
+ * 讓目前的畫面可以用網址分享，並由瀏覽器的上一頁／下一頁切換。
+ *
+ * 📋 查詢參數 (Query Parameters):
+ * - layers: 可見圖層 ID，以逗號分隔（依開啟順序，D3jsTab 顯示最後一個）
+ * - upper / bottom / right: 主要、底部與右側分頁
+ * - feature: 選取要素的參照 `{"layerId":"...","id":"..."}`（JSON；套用時從圖層數據重建要素）
+ * - zoom: 地圖縮放與平移 `k,x,y`（x、y 為佔示意圖寬高的比例）
+ * - seed、seed.<layerId>: 節點數值種子（由 random.js 讀取）；使用隨機數值的可見圖層
+ *   會寫入實際使用的 seed.<layerId>，已有的種子參數原樣保留
+ *
+ * 📜 瀏覽紀錄 (History):
+ * 圖層、分頁與選取要素改變時新增一筆紀錄（isHistoryChange）；只有縮放或種子改變時
+ * 取代目前的紀錄，上一頁不會逐一退回每次縮放。
+ *
+ * 🚀 使用範例 (Usage Examples):
+ * ```javascript
+ * // /?layers=taipei_metro_2&upper=d3js&right=properties&zoom=2,-0.25,-0.1
+ * const state = parseUrlState(route.query);
+ * await dataStore.applyViewState(state);
+ *
+ * router.push({ query: buildUrlQuery(dataStore.getViewState(), route.query) });
+ * ```
+ *
+ * @file urlState.js
+ * @version 1.0.0
+ * @author Kevin Cheng
+ * @since 3.1.0
+ */
+
+import { normalizeSeed } from './random.js';
+import { toFeatureReference } from './schematicFeatures.js';
+
+// ==================== ⚙️ 配置常數 (Configuration Constants) ====================
+
+/**
+ * 🔑 檢視狀態使用的查詢參數名稱 (View State Query Keys)
+ *
+ * @type {Object<string, string>}
+ */
+export const URL_STATE_KEYS = {
+  LAYERS: 'layers',
+  UPPER_TAB: 'upper',
+  BOTTOM_TAB: 'bottom',
+  RIGHT_TAB: 'right',
+  FEATURE: 'feature',
+  ZOOM: 'zoom',
+};
+
+/**
+ * 📜 改變時新增瀏覽紀錄的查詢參數 (History Query Keys)
+ * 縮放（zoom）與種子不在其中，改變時只取代目前的紀錄
+ *
+ * @type {string[]}
+ */
+const HISTORY_KEYS = [
+  URL_STATE_KEYS.LAYERS,
+  URL_STATE_KEYS.UPPER_TAB,
+  URL_STATE_KEYS.BOTTOM_TAB,
+  URL_STATE_KEYS.RIGHT_TAB,
+  URL_STATE_KEYS.FEATURE,
+];
+
+// ==================== 🔧 內部工具函數 (Internal Helpers) ====================
+
+/**
+ * 取得查詢參數的單一值（vue-router 重複參數時為陣列）
+ *
+ * @param {string|string[]|null|undefined} value - 查詢參數值
+ * @returns {string|null} 第一個值
+ */
+function firstValue(value) {
+  const result = Array.isArray(value) ? value[0] : value;
+  return typeof result === 'string' ? result : null;
+}
+
+/**
+ * 解析 `k,x,y` 格式的縮放參數
+ *
+ * @param {string|null} value - 查詢參數值
+ * @returns {{ k: number, x: number, y: number }|null} 縮放與平移；格式錯誤時為 null
+ */
+function parseTransform(value) {
+  const parts = (value ?? '').split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite) || parts[0] <= 0) return null;
+  const [k, x, y] = parts;
+  return { k, x, y };
+}
+
+/**
+ * 解析 JSON 格式的要素參數
+ * 舊網址的參數為整個要素，同樣只取出參照
+ *
+ * @param {string|null} value - 查詢參數值
+ * @returns {{ layerId: string, id: string|number }|null} 要素參照；格式錯誤時為 null
+ */
+function parseFeature(value) {
+  if (!value) return null;
+  try {
+    return toFeatureReference(JSON.parse(value));
+  } catch (error) {
+    return null;
+  }
+}
+
+// ==================== 🔗 網址與檢視狀態轉換 (URL / View State Conversion) ====================
+
+/**
+ * ❓ 網址是否包含檢視狀態 (Has URL State)
+ *
+ * @param {Object} query - 路由查詢參數（route.query）
+ * @returns {boolean} 是否有任一檢視狀態參數
+ */
+export function hasUrlState(query = {}) {
+  return Object.values(URL_STATE_KEYS).some((key) => key in query);
+}
+
+/**
+ * 📥 解析網址檢視狀態 (Parse URL State)
+ *
+ * 網址沒有提供的分頁欄位不會出現在結果中（套用時維持原值）；
+ * 沒有 feature 或 zoom 時視為未選取、未縮放。
+ *
+ * @param {Object} query - 路由查詢參數（route.query）
+ * @returns {Object} dataStore.applyViewState 可使用的檢視狀態
+ */
+export function parseUrlState(query = {}) {
+  const layers = firstValue(query[URL_STATE_KEYS.LAYERS]);
+  const state = {
+    visibleLayerIds: layers ? layers.split(',').filter(Boolean) : [],
+    selectedFeature: parseFeature(firstValue(query[URL_STATE_KEYS.FEATURE])),
+    mapTransform: parseTransform(firstValue(query[URL_STATE_KEYS.ZOOM])),
+  };
+
+  const tabs = {
+    activeUpperTab: URL_STATE_KEYS.UPPER_TAB,
+    activeBottomTab: URL_STATE_KEYS.BOTTOM_TAB,
+    activeRightTab: URL_STATE_KEYS.RIGHT_TAB,
+  };
+  Object.entries(tabs).forEach(([field, key]) => {
+    const value = firstValue(query[key]);
+    if (value) state[field] = value;
+  });
+
+  return state;
+}
+
+/**
+ * 📤 建立網址查詢參數 (Build URL Query)
+ *
+ * 以檢視狀態覆寫目前查詢參數中的狀態欄位，其他參數（例如 seed）原樣保留。
+ * 選取要素只寫入參照 { layerId, id }，網址長度不隨要素的屬性（例如整列節點）增加。
+ *
+ * @param {Object} viewState - dataStore.getViewState() 的結果
+ * @param {Object} [currentQuery] - 目前的路由查詢參數
+ * @returns {Object} 新的查詢參數
+ */
+export function buildUrlQuery(viewState, currentQuery = {}) {
+  const query = { ...currentQuery };
+  Object.values(URL_STATE_KEYS).forEach((key) => delete query[key]);
+
+  query[URL_STATE_KEYS.LAYERS] = viewState.visibleLayerIds.join(',');
+  query[URL_STATE_KEYS.UPPER_TAB] = viewState.activeUpperTab;
+  query[URL_STATE_KEYS.BOTTOM_TAB] = viewState.activeBottomTab;
+  query[URL_STATE_KEYS.RIGHT_TAB] = viewState.activeRightTab;
+  const featureReference = toFeatureReference(viewState.selectedFeature);
+  if (featureReference) {
+    query[URL_STATE_KEYS.FEATURE] = JSON.stringify(featureReference);
+  }
+  if (viewState.mapTransform) {
+    const { k, x, y } = viewState.mapTransform;
+    query[URL_STATE_KEYS.ZOOM] = [+k.toFixed(3), +x.toFixed(4), +y.toFixed(4)].join(',');
+  }
+
+  // 與全域 ?seed= 相同的種子不必再寫一次
+  const globalSeed = firstValue(query.seed);
+  Object.entries(viewState.layerSeeds ?? {}).forEach(([layerId, seed]) => {
+    if (globalSeed !== null && normalizeSeed(globalSeed) === seed) return;
+    query[`seed.${layerId}`] = String(seed);
+  });
+  return query;
+}
+
+/**
+ * 📜 是否需要新增瀏覽紀錄 (Is History Change)
+ *
+ * @param {Object} query - 新的查詢參數
+ * @param {Object} currentQuery - 目前的查詢參數
+ * @returns {boolean} 圖層、分頁或選取要素是否不同（只有縮放或種子不同時為 false）
+ */
+export function isHistoryChange(query = {}, currentQuery = {}) {
+  return HISTORY_KEYS.some((key) => (query[key] ?? null) !== (currentQuery[key] ?? null));
+}
+
+/**
+ * ⚖️ 比較檢視狀態參數 (Is Same View Query)
+ *
+ * @param {Object} a - 查詢參數
+ * @param {Object} b - 查詢參數
+ * @returns {boolean} 檢視狀態參數是否相同（不比較種子等其他參數）
+ */
+export function isSameViewQuery(a = {}, b = {}) {
+  return Object.values(URL_STATE_KEYS).every((key) => (a[key] ?? null) === (b[key] ?? null));
+}
+
+/**
+ * ⚖️ 比較查詢參數 (Is Same Query)
+ *
+ * @param {Object} a - 查詢參數
+ * @param {Object} b - 查詢參數
+ * @returns {boolean} 參數名稱與值是否完全相同（不計順序）
+ */
+export function isSameQuery(a = {}, b = {}) {
+  const normalize = (query) =>
+    JSON.stringify(
+      Object.keys(query)
+        .sort()
+        .map((key) => [key, query[key]])
+    );
+  return normalize(a) === normalize(b);
+}